@@ -3,7 +3,13 @@ import PropTypes from 'prop-types';
 import ReactDOM from 'react-dom';
 import {storiesOf} from '@kadira/storybook';
 import style from './Storybook.scss';
-import {SortableContainer, SortableElement, SortableHandle, arrayMove} from '../index';
+import {
+  SortableContainer,
+  SortableElement,
+  SortableHandle,
+  applyMove,
+  arrayMove,
+} from '../index';
 import VirtualList from 'react-tiny-virtual-list';
 import {
   defaultTableRowRenderer,
@@ -32,7 +38,9 @@ const Handle = SortableHandle(() => <div className={style.handle} />);
 const Item = SortableElement(props => {
   return (
     <div
-      className={props.className}
+      className={classNames(props.className, {
+        [style.selectedItem]: props.selected,
+      })}
       style={{
         height: props.height,
         ...props.style,
@@ -119,11 +127,11 @@ class ListWrapper extends Component {
       onSortStart(this.refs.component);
     }
   };
-  onSortEnd = ({oldIndex, newIndex}) => {
+  onSortEnd = sortEnd => {
     const {onSortEnd} = this.props;
     const {items} = this.state;
 
-    this.setState({items: arrayMove(items, oldIndex, newIndex), isSorting: false});
+    this.setState({items: applyMove(items, sortEnd), isSorting: false});
 
     if (onSortEnd) {
       onSortEnd(this.refs.component);
@@ -328,6 +336,92 @@ const NestedSortableList = SortableContainer(({
   );
 });
 
+class ConnectedListsWrapper extends Component {
+  state = {
+    lists: [getItems(10, 59), getItems(5, 59).map(({value, height}) => ({value: value + 10, height})), []],
+  };
+  onSortEnd = ({oldIndex, newIndex, fromContainer, toContainer}) => {
+    const lists = this.state.lists.slice();
+    const from = fromContainer.props.listIndex;
+    const to = toContainer.props.listIndex;
+
+    if (from === to) {
+      lists[from] = arrayMove(lists[from], oldIndex, newIndex);
+    } else {
+      lists[from] = lists[from].slice();
+      lists[to] = lists[to].slice();
+      lists[to].splice(newIndex, 0, lists[from].splice(oldIndex, 1)[0]);
+    }
+
+    this.setState({lists});
+  };
+  render() {
+    return (
+      <div className={style.connectedLists}>
+        {this.state.lists.map((items, index) => (
+          <SortableList
+            key={index}
+            listIndex={index}
+            group="connected"
+            items={items}
+            className={classNames(style.list, style.stylizedList)}
+            itemClass={classNames(style.item, style.stylizedItem)}
+            helperClass={style.stylizedHelper}
+            onSortEnd={this.onSortEnd}
+          />
+        ))}
+      </div>
+    );
+  }
+}
+
+// Reports how long the frames took while sorting, to compare the cost of
+// sorting long lists between changes
+class FrameTimingWrapper extends Component {
+  state = {
+    report: null,
+  };
+  componentWillUnmount() {
+    cancelAnimationFrame(this.frame);
+  }
+  onSortStart = () => {
+    this.frames = [];
+    this.lastFrameTime = performance.now();
+    this.frame = requestAnimationFrame(this.tick);
+  };
+  onSortEnd = () => {
+    const {frames} = this;
+    const total = frames.reduce((sum, duration) => sum + duration, 0);
+
+    cancelAnimationFrame(this.frame);
+    this.setState({
+      report: `${frames.length} frames, ${(total / frames.length).toFixed(1)}ms on average, ${Math.max(...frames).toFixed(1)}ms at most`,
+    });
+  };
+  tick = time => {
+    this.frames.push(time - this.lastFrameTime);
+    this.lastFrameTime = time;
+    this.frame = requestAnimationFrame(this.tick);
+  };
+  render() {
+    return (
+      <div className={style.root}>
+        <div className={style.frameTiming}>
+          {this.state.report || 'Sort an item to time the frames'}
+        </div>
+        <ListWrapper
+          component={SortableList}
+          items={getItems(1000, 59)}
+          helperClass={style.stylizedHelper}
+          multiSelect={this.props.multiSelect}
+          onSortStart={this.onSortStart}
+          onSortEnd={this.onSortEnd}
+        />
+      </div>
+    );
+  }
+}
+
 storiesOf('Basic Configuration', module)
   .add('Basic usage', () => {
     return (
@@ -456,6 +550,20 @@ storiesOf('Advanced', module)
       </div>
     );
   })
+  .add('Connected lists', () => {
+    return (
+      <div className={style.root}>
+        <ConnectedListsWrapper />
+      </div>
+    );
+  })
+  .add('Large list (1,000 items)', () => {
+    return <FrameTimingWrapper />;
+  })
+  .add('Large list with multiple selection (1,000 items)', () => {
+    // Shift-click to select a range of items, then sort them together
+    return <FrameTimingWrapper multiSelect />;
+  })
   .add('Window as scroll container', () => {
     return (
       <ListWrapper
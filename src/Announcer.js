@@ -0,0 +1,51 @@
+const visuallyHidden = {
+  position: 'absolute',
+  width: '1px',
+  height: '1px',
+  margin: '-1px',
+  padding: '0',
+  border: '0',
+  overflow: 'hidden',
+  clip: 'rect(0 0 0 0)',
+  whiteSpace: 'nowrap',
+};
+
+function createHiddenNode(document) {
+  const node = document.createElement('div');
+
+  Object.keys(visuallyHidden).forEach(key => {
+    node.style[key] = visuallyHidden[key];
+  });
+
+  return document.body.appendChild(node);
+}
+
+export default class Announcer {
+  constructor(document, instructionsId) {
+    // Referenced by the `aria-describedby` attribute of sortable elements and handles
+    this.instructions = createHiddenNode(document);
+    this.instructions.id = instructionsId;
+
+    this.liveRegion = createHiddenNode(document);
+    this.liveRegion.setAttribute('aria-live', 'assertive');
+    this.liveRegion.setAttribute('aria-atomic', 'true');
+  }
+
+  setInstructions(instructions) {
+    if (this.instructions.textContent !== instructions) {
+      this.instructions.textContent = instructions;
+    }
+  }
+
+  announce(message) {
+    this.liveRegion.textContent = message;
+  }
+
+  destroy() {
+    [this.instructions, this.liveRegion].forEach(node => {
+      if (node.parentNode) {
+        node.parentNode.removeChild(node);
+      }
+    });
+  }
+}
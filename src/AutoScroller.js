@@ -0,0 +1,169 @@
+const edges = {
+  x: {start: 'left', end: 'right', size: 'width', scroll: 'scrollLeft'},
+  y: {start: 'top', end: 'bottom', size: 'height', scroll: 'scrollTop'},
+};
+
+export const defaultAutoScrollOptions = {
+  threshold: 60,
+  maxSpeed: 15,
+  easing: progress => progress * progress,
+};
+
+export function isWindow(scroller) {
+  return scroller != null && scroller.window === scroller;
+}
+
+function getScroll(scroller, axis) {
+  if (isWindow(scroller)) {
+    return axis === 'x' ? scroller.pageXOffset : scroller.pageYOffset;
+  }
+
+  return scroller[edges[axis].scroll];
+}
+
+function getElement(scroller) {
+  return isWindow(scroller) ? scroller.document.documentElement : scroller;
+}
+
+function getMaxScroll(scroller, axis) {
+  const element = getElement(scroller);
+
+  return axis === 'x'
+    ? element.scrollWidth - (isWindow(scroller) ? scroller.innerWidth : element.clientWidth)
+    : element.scrollHeight - (isWindow(scroller) ? scroller.innerHeight : element.clientHeight);
+}
+
+function getScrollRange(scroller, axis) {
+  const element = getElement(scroller);
+  const max = getMaxScroll(scroller, axis);
+
+  // Right to left scrollers start at 0 and scroll towards negative offsets
+  if (
+    axis === 'x' &&
+    element.ownerDocument.defaultView.getComputedStyle(element).direction === 'rtl'
+  ) {
+    return {min: -max, max: 0};
+  }
+
+  return {min: 0, max};
+}
+
+function getBounds(scroller) {
+  if (isWindow(scroller)) {
+    return {
+      top: 0,
+      left: 0,
+      bottom: scroller.innerHeight,
+      right: scroller.innerWidth,
+      width: scroller.innerWidth,
+      height: scroller.innerHeight,
+    };
+  }
+
+  return scroller.getBoundingClientRect();
+}
+
+function scrollBy(scroller, axis, offset) {
+  if (isWindow(scroller)) {
+    scroller.scrollBy(axis === 'x' ? offset : 0, axis === 'y' ? offset : 0);
+  } else {
+    scroller[edges[axis].scroll] += offset;
+  }
+}
+
+/*
+ * Scrolls the given scrollers (ordered from the innermost one to the window)
+ * while the sortable helper is close to their edges, on every animation frame
+ */
+export default class AutoScroller {
+  constructor({window, scrollers, onScroll, threshold, maxSpeed, easing}) {
+    this.window = window;
+    this.scrollers = scrollers;
+    this.onScroll = onScroll;
+    this.threshold = typeof threshold === 'number'
+      ? {x: threshold, y: threshold}
+      : threshold;
+    this.maxSpeed = maxSpeed;
+    this.easing = easing;
+    this.frame = null;
+  }
+
+  update(rect) {
+    this.rect = rect;
+
+    if (!this.frame) {
+      this.frame = this.window.requestAnimationFrame(this.scroll);
+    }
+  }
+
+  stop() {
+    if (this.frame) {
+      this.window.cancelAnimationFrame(this.frame);
+      this.frame = null;
+    }
+  }
+
+  scroll = () => {
+    let scrolled = false;
+
+    this.frame = null;
+
+    ['x', 'y'].forEach(axis => {
+      // Scroll the innermost scroller that can still scroll in that direction
+      for (let i = 0, len = this.scrollers.length; i < len; i++) {
+        const scroller = this.scrollers[i];
+        const speed = this.getSpeed(scroller, axis);
+
+        if (speed) {
+          const scroll = getScroll(scroller, axis);
+
+          scrollBy(scroller, axis, speed);
+
+          if (getScroll(scroller, axis) !== scroll) {
+            scrolled = true;
+            break;
+          }
+        }
+      }
+    });
+
+    if (scrolled) {
+      this.onScroll();
+      this.frame = this.window.requestAnimationFrame(this.scroll);
+    }
+  };
+
+  getSpeed(scroller, axis) {
+    const {start, end, size} = edges[axis];
+    const bounds = getBounds(scroller);
+    const threshold = Math.min(this.threshold[axis], bounds[size] / 2);
+    let direction = 0;
+    let distance = 0;
+
+    if (this.rect[end] > bounds[end] - threshold) {
+      direction = 1;
+      distance = this.rect[end] - (bounds[end] - threshold);
+    } else if (this.rect[start] < bounds[start] + threshold) {
+      direction = -1;
+      distance = bounds[start] + threshold - this.rect[start];
+    }
+
+    if (!direction) return 0;
+
+    const range = getScrollRange(scroller, axis);
+    const scroll = getScroll(scroller, axis);
+
+    if (
+      (direction < 0 && scroll <= range.min) ||
+      (direction > 0 && scroll >= range.max)
+    ) {
+      return 0;
+    }
+
+    // Always scroll by at least a pixel, browsers may round smaller offsets down
+    return direction * Math.max(
+      1,
+      Math.round(this.maxSpeed * this.easing(Math.min(1, distance / threshold)))
+    );
+  }
+}
@@ -3,6 +3,16 @@ import sortBy from 'lodash/sortBy';
 
 export default class Manager {
   refs = {};
+  orderedRefs = {};
+  active = null;
+  sorting = false;
+  isKeySorting = false;
+  useDragHandle = false;
+  instructionsId = null;
+  multiSelect = false;
+  pinDisabled = false;
+  selection = {collection: null, indexes: []};
+  listeners = [];
 
   add(collection, ref) {
     if (!this.refs[collection]) {
@@ -10,6 +20,7 @@ export default class Manager {
     }
 
     this.refs[collection].push(ref);
+    this.invalidate(collection);
   }
 
   remove(collection, ref) {
@@ -17,13 +28,33 @@ export default class Manager {
 
     if (index !== -1) {
       this.refs[collection].splice(index, 1);
+      this.invalidate(collection);
     }
   }
 
+  invalidate(collection) {
+    delete this.orderedRefs[collection];
+  }
+
   isActive() {
     return this.active;
   }
 
+  setActive(active) {
+    if (active !== this.active) {
+      this.active = active;
+      this.notify(['active']);
+    }
+  }
+
+  setSorting(sorting) {
+    // Elements are active as soon as they are pressed, sorting may start later
+    if (sorting !== this.sorting) {
+      this.sorting = sorting;
+      this.notify(['sorting']);
+    }
+  }
+
   getActive() {
     return find(
       this.refs[this.active.collection],
@@ -36,7 +67,53 @@ export default class Manager {
     return this.refs[collection].indexOf(ref);
   }
 
+  isSelected(collection, index) {
+    return (
+      this.selection.collection === collection &&
+      this.selection.indexes.indexOf(index) !== -1
+    );
+  }
+
+  setSelection(collection, indexes) {
+    this.selection = {collection, indexes};
+    this.notify([]);
+  }
+
+  setOptions(options) {
+    // The options mirror props of the container, and elements are told which
+    // ones changed so they can register again or render differently
+    const changed = Object.keys(options).filter(key => this[key] !== options[key]);
+
+    if (!changed.length) return;
+
+    changed.forEach(key => {
+      this[key] = options[key];
+    });
+    this.notify(changed);
+  }
+
+  notify(changed) {
+    this.listeners.forEach(listener => listener(changed));
+  }
+
+  subscribe(listener) {
+    this.listeners.push(listener);
+
+    return () => {
+      this.listeners = this.listeners.filter(fn => fn !== listener);
+    };
+  }
+
   getOrderedRefs(collection = this.active.collection) {
-    return sortBy(this.refs[collection], ({node}) => node.sortableInfo.index);
+    // Sorting happens on every move, so the order is only computed again
+    // when elements are added, removed or change index
+    if (!this.orderedRefs[collection]) {
+      this.orderedRefs[collection] = sortBy(
+        this.refs[collection],
+        ({node}) => node.sortableInfo.index
+      );
+    }
+
+    return this.orderedRefs[collection];
   }
 }
@@ -0,0 +1,102 @@
+import {invertMove} from './utils';
+
+const moveKeys = [
+  'oldIndex',
+  'newIndex',
+  'oldIndexes',
+  'newIndexes',
+  'collection',
+  'from',
+  'to',
+  'pinnedIndexes',
+];
+
+function toMove(sortEnd) {
+  const move = {};
+
+  moveKeys.forEach(key => {
+    if (sortEnd[key] !== undefined) move[key] = sortEnd[key];
+  });
+
+  // Elements moved between the collections of a container
+  if (
+    move.from === undefined &&
+    sortEnd.oldCollection !== undefined &&
+    sortEnd.oldCollection !== sortEnd.newCollection
+  ) {
+    move.from = sortEnd.oldCollection;
+    move.to = sortEnd.newCollection;
+  }
+
+  return move;
+}
+
+function isNoop({oldIndex, newIndex, oldIndexes, newIndexes, from, to}) {
+  return from === to &&
+    oldIndex === newIndex &&
+    String(oldIndexes) === String(newIndexes);
+}
+
+/*
+ * Keeps track of the moves made by sorting, so that they can be undone and
+ * redone. Its state only holds plain objects, and can be serialized with
+ * `JSON.stringify(history)` and passed back to the constructor.
+ */
+export default class SortHistory {
+  constructor({limit = 100, past = [], future = []} = {}) {
+    this.limit = limit;
+    this.past = past;
+    this.future = future;
+  }
+
+  record(sortEnd) {
+    const move = toMove(sortEnd);
+
+    // Copies add elements rather than moving them, so they can't be inverted
+    if (sortEnd.mode === 'copy' || isNoop(move)) return null;
+
+    this.past = this.past.concat(move).slice(-this.limit);
+    this.future = [];
+
+    return move;
+  }
+
+  canUndo() {
+    return this.past.length > 0;
+  }
+
+  canRedo() {
+    return this.future.length > 0;
+  }
+
+  undo() {
+    if (!this.canUndo()) return null;
+
+    const move = this.past[this.past.length - 1];
+
+    this.past = this.past.slice(0, -1);
+    this.future = [move].concat(this.future);
+
+    return invertMove(move);
+  }
+
+  redo() {
+    if (!this.canRedo()) return null;
+
+    const move = this.future[0];
+
+    this.future = this.future.slice(1);
+    this.past = this.past.concat(move);
+
+    return move;
+  }
+
+  clear() {
+    this.past = [];
+    this.future = [];
+  }
+
+  toJSON() {
+    return {past: this.past, future: this.future};
+  }
+}
@@ -0,0 +1,101 @@
+import SortHistory from './SortHistory';
+import {applyMove} from './utils';
+
+describe('SortHistory', () => {
+  it('records moves, and ignores copies and moves that change nothing', () => {
+    const history = new SortHistory();
+
+    expect(history.record({oldIndex: 0, newIndex: 2, collection: 0})).toEqual({
+      oldIndex: 0,
+      newIndex: 2,
+      collection: 0,
+    });
+    expect(history.record({oldIndex: 1, newIndex: 1})).toBe(null);
+    expect(history.record({oldIndex: 0, newIndex: 3, mode: 'copy'})).toBe(null);
+    expect(history.past).toHaveLength(1);
+  });
+
+  it('records moves between the collections of a container', () => {
+    const history = new SortHistory();
+
+    expect(
+      history.record({oldIndex: 0, newIndex: 1, oldCollection: 'a', newCollection: 'b'})
+    ).toEqual({oldIndex: 0, newIndex: 1, from: 'a', to: 'b'});
+  });
+
+  it('undoes and redoes moves in order', () => {
+    const history = new SortHistory();
+    const first = history.record({oldIndex: 0, newIndex: 2});
+    const second = history.record({oldIndex: 3, newIndex: 1});
+    let items = applyMove(applyMove(['a', 'b', 'c', 'd'], first), second);
+
+    expect(items).toEqual(['b', 'd', 'c', 'a']);
+    expect(history.canRedo()).toBe(false);
+
+    items = applyMove(items, history.undo());
+    expect(items).toEqual(['b', 'c', 'a', 'd']);
+    expect(history.canUndo()).toBe(true);
+    expect(history.canRedo()).toBe(true);
+
+    items = applyMove(items, history.undo());
+    expect(items).toEqual(['a', 'b', 'c', 'd']);
+    expect(history.canUndo()).toBe(false);
+    expect(history.undo()).toBe(null);
+
+    expect(history.redo()).toEqual(first);
+    expect(history.redo()).toEqual(second);
+    expect(history.canRedo()).toBe(false);
+    expect(history.redo()).toBe(null);
+  });
+
+  it('forgets the moves that were undone when a new one is recorded', () => {
+    const history = new SortHistory();
+
+    history.record({oldIndex: 0, newIndex: 2});
+    history.record({oldIndex: 3, newIndex: 1});
+    history.undo();
+    history.record({oldIndex: 1, newIndex: 0});
+
+    expect(history.canRedo()).toBe(false);
+    expect(history.past).toEqual([
+      {oldIndex: 0, newIndex: 2},
+      {oldIndex: 1, newIndex: 0},
+    ]);
+  });
+
+  it('keeps no more moves than its limit', () => {
+    const history = new SortHistory({limit: 2});
+
+    history.record({oldIndex: 0, newIndex: 1});
+    history.record({oldIndex: 1, newIndex: 2});
+    history.record({oldIndex: 2, newIndex: 3});
+
+    expect(history.past).toEqual([
+      {oldIndex: 1, newIndex: 2},
+      {oldIndex: 2, newIndex: 3},
+    ]);
+    expect(history.undo()).toEqual({oldIndex: 3, newIndex: 2});
+    expect(history.undo()).toEqual({oldIndex: 2, newIndex: 1});
+    expect(history.canUndo()).toBe(false);
+  });
+
+  it('can be serialized and restored', () => {
+    const history = new SortHistory();
+
+    history.record({oldIndex: 0, newIndex: 2});
+    history.record({oldIndexes: [0, 1], newIndexes: [2, 3], oldIndex: 1, newIndex: 3});
+    history.undo();
+
+    const restored = new SortHistory(JSON.parse(JSON.stringify(history)));
+
+    expect(restored.toJSON()).toEqual(history.toJSON());
+    expect(restored.undo()).toEqual({oldIndex: 2, newIndex: 0});
+    expect(restored.redo()).toEqual({oldIndex: 0, newIndex: 2});
+    expect(restored.redo()).toEqual({
+      oldIndexes: [0, 1],
+      newIndexes: [2, 3],
+      oldIndex: 1,
+      newIndex: 3,
+    });
+  });
+});
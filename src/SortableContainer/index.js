@@ -1,25 +1,102 @@
 import React, {Component} from 'react';
 import PropTypes from 'prop-types';
-import {findDOMNode} from 'react-dom';
+import {
+  unmountComponentAtNode,
+  unstable_renderSubtreeIntoContainer as renderSubtreeIntoContainer,
+} from 'react-dom';
 import invariant from 'invariant';
+import filter from 'lodash/filter';
+import find from 'lodash/find';
+import findIndex from 'lodash/findIndex';
 
+import Announcer from '../Announcer';
+import AutoScroller, {defaultAutoScrollOptions} from '../AutoScroller';
 import Manager from '../Manager';
+import {hasDropTargets} from '../SortableDropTarget';
+import {mouseTouchBackend} from '../backends';
+import {
+  ManagerContext,
+  canReceiveRef,
+  forwardNodeRef,
+  getNode,
+  managerContextTypes,
+  provideManager,
+} from '../context';
 import {
   closest,
-  events,
+  cloneNode,
   vendorPrefix,
   limit,
   getElementMargin,
+  getScale,
+  binarySearch,
+  setStyle,
+  isScrollable,
   provideDisplayName,
   omit,
+  KEYCODE,
 } from '../utils';
 
+const defaultKeyCodes = {
+  lift: [KEYCODE.SPACE, KEYCODE.ENTER],
+  drop: [KEYCODE.SPACE, KEYCODE.ENTER],
+  cancel: [KEYCODE.ESC],
+  up: [KEYCODE.UP],
+  down: [KEYCODE.DOWN],
+  left: [KEYCODE.LEFT],
+  right: [KEYCODE.RIGHT],
+};
+
+const defaultAnnouncements = {
+  instructions: 'Press space or enter to pick up the item. ' +
+    'While sorting, use the arrow keys to move it, ' +
+    'press space or enter to drop it, or press escape to cancel.',
+  lift: ({index, total}) => `Picked up item ${index + 1} of ${total}.`,
+  move: ({newIndex, newDepth, total}) =>
+    `Moved to position ${newIndex + 1} of ${total}` +
+    (newDepth != null ? `, at level ${newDepth + 1}.` : '.'),
+  drop: ({oldIndex, newIndex, mode}) =>
+    mode === 'copy'
+      ? `Dropped. Copied from position ${oldIndex + 1} to position ${newIndex + 1}.`
+      : `Dropped. Moved from position ${oldIndex + 1} to position ${newIndex + 1}.`,
+  reject: ({newIndex}) => `Cannot be dropped at position ${newIndex + 1}.`,
+  cancel: ({oldIndex}) =>
+    `Sorting cancelled. Returned to position ${oldIndex + 1}.`,
+};
+
+let instructionsId = 0;
+
+// Containers that share a `group` can exchange elements with one another
+const groups = {};
+
+function getManagerOptions({useDragHandle, multiSelect, pinDisabled}) {
+  // Props that elements and handles read through the manager
+  return {useDragHandle, multiSelect, pinDisabled};
+}
+
+export function createManager(props) {
+  const manager = new Manager();
+
+  manager.setOptions(getManagerOptions(props));
+  manager.instructionsId = `react-sortable-hoc-instructions-${++instructionsId}`;
+
+  return manager;
+}
+
+function isPinned(ref) {
+  return Boolean(ref && ref.node.sortableInfo.pinned);
+}
+
 // Export Higher Order Sortable Container Component
 export default function sortableContainer(WrappedComponent, config = {withRef: false}) {
+  const ForwardedComponent = forwardNodeRef(WrappedComponent);
+  const receivesRef = config.withRef || canReceiveRef(ForwardedComponent);
+
   return class extends Component {
     constructor(props) {
       super(props);
-      this.manager = new Manager();
+      // `useSortableContainer` hands its own manager to the component
+      this.manager = props.sortableManager || createManager(props);
       this.events = {
         start: this.handleStart,
         move: this.handleMove,
@@ -58,18 +135,49 @@ export default function sortableContainer(WrappedComponent, config = {withRef: f
         width: node.offsetWidth,
         height: node.offsetHeight,
       }),
+      autoScroll: true,
+      inputBackend: mouseTouchBackend,
+      dropAnimationDuration: 0,
+      dropAnimationEasing: 'cubic-bezier(0.2, 1, 0.1, 1)',
+      delayOnSortEnd: false,
+      copyMode: 'never',
+      pinDisabled: false,
+      indentationWidth: 20,
+      canHaveChildren: () => true,
     };
 
     static propTypes = {
       axis: PropTypes.oneOf(['x', 'y', 'xy']),
+      direction: PropTypes.oneOf(['ltr', 'rtl']),
+      scale: PropTypes.oneOfType([
+        PropTypes.number,
+        PropTypes.shape({
+          x: PropTypes.number,
+          y: PropTypes.number,
+        }),
+      ]),
       distance: PropTypes.number,
       lockAxis: PropTypes.string,
       helperClass: PropTypes.string,
+      invalidHelperClass: PropTypes.string,
+      canDrop: PropTypes.func,
       transitionDuration: PropTypes.number,
       contentWindow: PropTypes.any,
       onSortStart: PropTypes.func,
       onSortMove: PropTypes.func,
+      onSortOver: PropTypes.func,
       onSortEnd: PropTypes.func,
+      onSortCancel: PropTypes.func,
+      onUndo: PropTypes.func,
+      onRedo: PropTypes.func,
+      onSortLeave: PropTypes.func,
+      onSortEnter: PropTypes.func,
+      dropOutside: PropTypes.bool,
+      copyMode: PropTypes.oneOf(['never', 'modifier', 'always']),
+      pinDisabled: PropTypes.bool,
+      itemCount: PropTypes.number,
+      getItemOffset: PropTypes.func,
+      getItemSize: PropTypes.func,
       shouldCancelStart: PropTypes.func,
       pressDelay: PropTypes.number,
       useDragHandle: PropTypes.bool,
@@ -85,17 +193,71 @@ export default function sortableContainer(WrappedComponent, config = {withRef: f
       ]),
       getContainer: PropTypes.func,
       getHelperDimensions: PropTypes.func,
+      renderHelper: PropTypes.func,
+      autoScroll: PropTypes.oneOfType([
+        PropTypes.bool,
+        PropTypes.shape({
+          threshold: PropTypes.oneOfType([
+            PropTypes.number,
+            PropTypes.shape({x: PropTypes.number, y: PropTypes.number}),
+          ]),
+          maxSpeed: PropTypes.number,
+          easing: PropTypes.func,
+        }),
+      ]),
+      autoScroller: PropTypes.func,
+      helperContainer: PropTypes.oneOfType([
+        PropTypes.func,
+        typeof HTMLElement === 'undefined'
+          ? PropTypes.any
+          : PropTypes.instanceOf(HTMLElement),
+      ]),
+      inputBackend: PropTypes.shape({
+        events: PropTypes.shape({
+          start: PropTypes.arrayOf(PropTypes.string),
+          move: PropTypes.arrayOf(PropTypes.string),
+          end: PropTypes.arrayOf(PropTypes.string),
+        }).isRequired,
+        getPointerId: PropTypes.func.isRequired,
+        addSortListeners: PropTypes.func.isRequired,
+      }),
+      dropAnimationDuration: PropTypes.number,
+      dropAnimationEasing: PropTypes.string,
+      delayOnSortEnd: PropTypes.bool,
+      group: PropTypes.string,
+      multiSelect: PropTypes.bool,
+      onSelectionChange: PropTypes.func,
+      selectionHelperClass: PropTypes.string,
+      selectionCountClass: PropTypes.string,
+      tree: PropTypes.bool,
+      indentationWidth: PropTypes.number,
+      maxDepth: PropTypes.number,
+      canHaveChildren: PropTypes.func,
+      keyCodes: PropTypes.shape({
+        lift: PropTypes.arrayOf(PropTypes.number),
+        drop: PropTypes.arrayOf(PropTypes.number),
+        cancel: PropTypes.arrayOf(PropTypes.number),
+        up: PropTypes.arrayOf(PropTypes.number),
+        down: PropTypes.arrayOf(PropTypes.number),
+        left: PropTypes.arrayOf(PropTypes.number),
+        right: PropTypes.arrayOf(PropTypes.number),
+      }),
+      announcements: PropTypes.shape({
+        instructions: PropTypes.string,
+        lift: PropTypes.func,
+        move: PropTypes.func,
+        reject: PropTypes.func,
+        drop: PropTypes.func,
+        cancel: PropTypes.func,
+      }),
     };
 
-    static childContextTypes = {
-      manager: PropTypes.object.isRequired,
-    };
+    static childContextTypes = managerContextTypes;
 
-    getChildContext() {
-      return {
-        manager: this.manager,
-      };
-    }
+    // React warns about `getChildContext` unless the legacy context API is used
+    getChildContext = ManagerContext
+      ? undefined
+      : () => ({manager: this.manager});
 
     componentDidMount() {
       const {
@@ -112,7 +274,9 @@ export default function sortableContainer(WrappedComponent, config = {withRef: f
 
       this.container = typeof getContainer === 'function'
         ? getContainer(this.getWrappedInstance())
-        : findDOMNode(this);
+        : getNode(this, this.wrappedInstance, config);
+      // Lets the test utilities find the container an element belongs to
+      this.container.sortableContainer = this;
       this.document = this.container.ownerDocument || document;
       this.scrollContainer = useWindowAsScrollContainer
         ? this.document.body
@@ -121,25 +285,93 @@ export default function sortableContainer(WrappedComponent, config = {withRef: f
         ? contentWindow()
         : contentWindow;
 
+      this.backend = this.props.inputBackend;
+      this.addContainerListeners();
+      this.container.addEventListener('keydown', this.handleKeyDown, false);
+
+      this.announcer = new Announcer(this.document, this.manager.instructionsId);
+      this.announcer.setInstructions(this.getAnnouncements().instructions);
+
+      this.joinGroup(this.props.group);
+    }
+
+    componentDidUpdate(prevProps) {
+      this.announcer.setInstructions(this.getAnnouncements().instructions);
+
+      if (
+        prevProps.multiSelect &&
+        !this.props.multiSelect &&
+        this.manager.selection.indexes.length
+      ) {
+        this.clearSelection();
+      }
+      this.manager.setOptions(getManagerOptions(this.props));
+
+      if (prevProps.group !== this.props.group) {
+        this.leaveGroup(prevProps.group);
+        this.joinGroup(this.props.group);
+      }
+
+      if (prevProps.inputBackend !== this.props.inputBackend) {
+        this.removeContainerListeners();
+        this.backend = this.props.inputBackend;
+        this.addContainerListeners();
+      }
+    }
+
+    componentWillUnmount() {
+      this.removeContainerListeners();
+      this.container.removeEventListener('keydown', this.handleKeyDown);
+      this.container.sortableContainer = null;
+      this.announcer.destroy();
+
+      this.leaveGroup(this.props.group);
+
+      clearTimeout(this.pressTimer);
+      clearTimeout(this.cancelTimer);
+      clearTimeout(this.cancelAnimationTimer);
+      clearTimeout(this.dropAnimationTimer);
+
+      // A sort that is still in progress is abandoned without callbacks
+      this.removeSortListeners();
+      this.stopAutoscroll();
+      this.manager.setSorting(false);
+      this.manager.setActive(null);
+      this.manager.isKeySorting = false;
+
+      if (this.helper) {
+        this.removeHelper();
+      }
+    }
+
+    addContainerListeners() {
       for (const key in this.events) {
         if (this.events.hasOwnProperty(key)) {
-          events[key].forEach(eventName =>
+          this.backend.events[key].forEach(eventName =>
             this.container.addEventListener(eventName, this.events[key], false)
           );
         }
       }
     }
 
-    componentWillUnmount() {
+    removeContainerListeners() {
       for (const key in this.events) {
         if (this.events.hasOwnProperty(key)) {
-          events[key].forEach(eventName =>
+          this.backend.events[key].forEach(eventName =>
             this.container.removeEventListener(eventName, this.events[key])
           );
         }
       }
     }
 
+    isTrackedPointer(e) {
+      const pointerId = this.backend.getPointerId(e);
+
+      return pointerId == null ||
+        this._pointerId == null ||
+        pointerId === this._pointerId;
+    }
+
     handleStart = e => {
       const {distance, shouldCancelStart} = this.props;
 
@@ -147,6 +379,15 @@ export default function sortableContainer(WrappedComponent, config = {withRef: f
         return false;
       }
 
+      // Only follow one pointer at a time
+      if (
+        !this.isTrackedPointer(e) &&
+        (this.state.sorting || this.manager.isActive())
+      ) {
+        return false;
+      }
+
+      this._pointerId = this.backend.getPointerId(e);
       this._touched = true;
       this._pos = {
         x: e.pageX,
@@ -158,6 +399,7 @@ export default function sortableContainer(WrappedComponent, config = {withRef: f
       if (
         node &&
         node.sortableInfo &&
+        !node.sortableInfo.pinned &&
         this.nodeIsChild(node) &&
         !this.state.sorting
       ) {
@@ -169,7 +411,11 @@ export default function sortableContainer(WrappedComponent, config = {withRef: f
         )
           return;
 
-        this.manager.active = {index, collection};
+        if (this.props.multiSelect && this.handleSelectionPress(e, index, collection)) {
+          return;
+        }
+
+        this.manager.setActive({index, collection});
 
         /*
 				 * Fixes a bug in Firefox where the :active state of anchor tags
@@ -193,6 +439,64 @@ export default function sortableContainer(WrappedComponent, config = {withRef: f
       }
     };
 
+    setSubtree(node) {
+      // Descendants directly follow their parent and are deeper than it
+      const {depth} = node.sortableInfo;
+      const nodes = this.manager.getOrderedRefs();
+      let i = findIndex(nodes, ref => ref.node === node);
+
+      this.keyboardPosition = i;
+      this.subtreeDepth = 0;
+
+      while (++i < nodes.length && nodes[i].node.sortableInfo.depth > depth) {
+        this.selectedIndexes.push(nodes[i].node.sortableInfo.index);
+        this.subtreeDepth = Math.max(
+          this.subtreeDepth,
+          nodes[i].node.sortableInfo.depth - depth
+        );
+      }
+    }
+
+    handleSelectionPress(e, index, collection) {
+      const {selection} = this.manager;
+      const indexes = selection.collection === collection ? selection.indexes : [];
+
+      if (e.metaKey || e.ctrlKey) {
+        this.selectionAnchor = index;
+        this.setSelection(
+          indexes.indexOf(index) === -1
+            ? indexes.concat(index)
+            : indexes.filter(selectedIndex => selectedIndex !== index),
+          collection
+        );
+
+        return true;
+      } else if (e.shiftKey) {
+        const anchor = this.selectionAnchor != null && indexes.length
+          ? this.selectionAnchor
+          : index;
+        const pinnedIndexes = this.getPinnedIndexes(collection);
+        const range = [];
+
+        for (let i = Math.min(anchor, index); i <= Math.max(anchor, index); i++) {
+          if (pinnedIndexes.indexOf(i) === -1) range.push(i);
+        }
+
+        this.selectionAnchor = anchor;
+        this.setSelection(range, collection);
+
+        return true;
+      }
+
+      // Pressing an element outside of the selection selects it on its own
+      if (indexes.indexOf(index) === -1) {
+        this.selectionAnchor = index;
+        this.setSelection([index], collection);
+      }
+
+      return false;
+    }
+
     nodeIsChild = node => {
       return node.sortableInfo.manager === this.manager;
     };
@@ -200,7 +504,7 @@ export default function sortableContainer(WrappedComponent, config = {withRef: f
     handleMove = e => {
       const {distance, pressThreshold} = this.props;
 
-      if (!this.state.sorting && this._touched) {
+      if (!this.state.sorting && this._touched && this.isTrackedPointer(e)) {
         this._delta = {
           x: this._pos.x - e.pageX,
           y: this._pos.y - e.pageY,
@@ -216,20 +520,20 @@ export default function sortableContainer(WrappedComponent, config = {withRef: f
       }
     };
 
-    handleEnd = () => {
-      const {distance} = this.props;
+    handleEnd = e => {
+      if (!this.isTrackedPointer(e)) return;
 
       this._touched = false;
 
-      if (!distance) {
-        this.cancel();
-      }
+      // Presses that didn't start a sort, such as clicks that moved less than
+      // `distance`, leave no element active
+      this.cancel();
     };
 
     cancel = () => {
       if (!this.state.sorting) {
         clearTimeout(this.pressTimer);
-        this.manager.active = null;
+        this.manager.setActive(null);
       }
     };
 
@@ -242,11 +546,14 @@ export default function sortableContainer(WrappedComponent, config = {withRef: f
           getHelperDimensions,
           helperClass,
           hideSortableGhost,
+          multiSelect,
           onSortStart,
+          tree,
+          transitionDuration,
           useWindowAsScrollContainer,
         } = this.props;
-        const {node, collection} = active;
-        const {index} = node.sortableInfo;
+        const {node} = active;
+        const {index, collection, depth} = node.sortableInfo;
         const margin = getElementMargin(node);
 
         const containerBoundingRect = this.container.getBoundingClientRect();
@@ -262,15 +569,42 @@ export default function sortableContainer(WrappedComponent, config = {withRef: f
         };
         this.boundingClientRect = node.getBoundingClientRect();
         this.containerBoundingRect = containerBoundingRect;
+        this.scale = this.getScale();
         this.index = index;
         this.newIndex = index;
+        this.depth = depth;
+        this.newDepth = depth;
+        this.keyboardDepthOffset = 0;
+        this.targetContainer = this;
+        this.visitedContainers = [];
+        this.isOutside = false;
+        this.dropTarget = null;
+        this.pointerPosition = null;
+        this.rejectedIndex = null;
+        this.checkedIndex = null;
+        this.selectedIndexes = [index];
+
+        if (tree) {
+          this.setSubtree(node);
+        } else if (
+          multiSelect &&
+          !this.manager.isKeySorting &&
+          this.manager.isSelected(collection, index)
+        ) {
+          this.selectedIndexes = this.manager.selection.indexes.slice(0);
+        }
 
         this.axis = {
           x: axis.indexOf('x') >= 0,
           y: axis.indexOf('y') >= 0,
         };
+        this.isRTL = this.getDirection() === 'rtl';
         this.offsetEdge = this.getEdgeOffset(node);
-        this.initialOffset = this.getOffset(e);
+        // Keyboard sorting has no pointer, so positions are relative to the node itself
+        this.initialOffset = this.manager.isKeySorting
+          ? {x: 0, y: 0}
+          : this.getOffset(e);
+        this.translate = {x: 0, y: 0};
         this.initialScroll = {
           top: this.scrollContainer.scrollTop,
           left: this.scrollContainer.scrollLeft,
@@ -280,20 +614,11 @@ export default function sortableContainer(WrappedComponent, config = {withRef: f
           top: window.pageYOffset,
           left: window.pageXOffset,
         };
+        this.scrollAncestors = this.getScrollAncestors();
 
-        const fields = node.querySelectorAll('input, textarea, select');
-        const clonedNode = node.cloneNode(true);
-        const clonedFields = [
-          ...clonedNode.querySelectorAll('input, textarea, select'),
-        ]; // Convert NodeList to Array
-
-        clonedFields.forEach((field, index) => {
-          if (field.type !== 'file' && fields[index]) {
-            field.value = fields[index].value;
-          }
-        });
-
-        this.helper = this.document.body.appendChild(clonedNode);
+        this.helper = this.getHelperContainer().appendChild(
+          this.createHelper(active)
+        );
 
         this.helper.style.position = 'fixed';
         this.helper.style.top = `${this.boundingClientRect.top - margin.top}px`;
@@ -303,10 +628,71 @@ export default function sortableContainer(WrappedComponent, config = {withRef: f
         this.helper.style.boxSizing = 'border-box';
         this.helper.style.pointerEvents = 'none';
 
+        if (this.props.helperContainer) {
+          // Fixed positioning is relative to the closest transformed ancestor
+          // rather than the viewport, which may be scrolled as well
+          const helperRect = this.helper.getBoundingClientRect();
+          const offset = {
+            top: helperRect.top - this.boundingClientRect.top,
+            left: helperRect.left - this.boundingClientRect.left,
+          };
+
+          this.helper.style.top = `${this.boundingClientRect.top - margin.top - offset.top}px`;
+          this.helper.style.left = `${this.boundingClientRect.left - margin.left - offset.left}px`;
+        }
+
+        if (this.isScaled()) {
+          // The helper is rendered outside of the container, scale it to match
+          this.helper.style[`${vendorPrefix}TransformOrigin`] = '0 0';
+          this.setHelperTranslate({x: 0, y: 0});
+        }
+
+        // When copying, the list makes room for the copy while the source
+        // element stays in place, so the layout is measured before anything moves
+        this.isCopying = this.shouldCopy(e);
+        this.copyLayout = this.props.copyMode !== 'never' && !this.isSortingBlock()
+          ? this.measureReceiving(collection)
+          : null;
+
+        if (this.isCopying) {
+          // With the keyboard, the copy starts out right before the element
+          this.keyboardPosition = findIndex(
+            this.copyLayout.nodes,
+            ({node: copiedNode}) => copiedNode === node
+          );
+        }
+
         if (hideSortableGhost) {
           this.sortableGhost = node;
-          node.style.visibility = 'hidden';
-          node.style.opacity = 0;
+
+          if (!this.isCopying) {
+            node.style.visibility = 'hidden';
+            node.style.opacity = 0;
+          }
+        }
+
+        // The rest of the selection is dragged along with the node
+        this.selectedNodes = [];
+        if (this.selectedIndexes.length > 1) {
+          this.manager.refs[collection].forEach(({node: selectedNode}) => {
+            const selectedIndex = selectedNode.sortableInfo.index;
+
+            if (
+              selectedIndex !== index &&
+              this.selectedIndexes.indexOf(selectedIndex) !== -1
+            ) {
+              selectedNode.style.visibility = 'hidden';
+              selectedNode.style.opacity = 0;
+              this.selectedNodes.push(selectedNode);
+            }
+          });
+
+          this.decorateSelectionHelper();
+        }
+
+        // Measure everything once, before any element moves
+        if (!this.isVirtualized()) {
+          this.manager.getOrderedRefs().forEach(ref => this.measureNode(ref));
         }
 
         this.minTranslate = {};
@@ -316,482 +702,2391 @@ export default function sortableContainer(WrappedComponent, config = {withRef: f
             ? 0
             : containerBoundingRect.left) -
             this.boundingClientRect.left -
-            this.width / 2;
+            this.width * this.scale.x / 2;
           this.maxTranslate.x = (useWindowAsScrollContainer
             ? this.contentWindow.innerWidth
             : containerBoundingRect.left + containerBoundingRect.width) -
             this.boundingClientRect.left -
-            this.width / 2;
+            this.width * this.scale.x / 2;
         }
         if (this.axis.y) {
           this.minTranslate.y = (useWindowAsScrollContainer
             ? 0
             : containerBoundingRect.top) -
             this.boundingClientRect.top -
-            this.height / 2;
+            this.height * this.scale.y / 2;
           this.maxTranslate.y = (useWindowAsScrollContainer
             ? this.contentWindow.innerHeight
             : containerBoundingRect.top + containerBoundingRect.height) -
             this.boundingClientRect.top -
-            this.height / 2;
+            this.height * this.scale.y / 2;
         }
 
         if (helperClass) {
           this.helper.classList.add(...helperClass.split(' '));
         }
 
-        this.listenerNode = e.touches ? node : this.contentWindow;
-        events.move.forEach(eventName =>
-          this.listenerNode.addEventListener(
-            eventName,
-            this.handleSortMove,
-            false
-          ));
-        events.end.forEach(eventName =>
-          this.listenerNode.addEventListener(
-            eventName,
-            this.handleSortEnd,
-            false
-          ));
+        this.document.addEventListener('keydown', this.handleSortKeyDown, true);
+        this.document.addEventListener('keyup', this.handleModifierChange, true);
+
+        if (this.manager.isKeySorting) {
+          this.removeInputListeners = null;
+
+          if (transitionDuration) {
+            this.helper.style[
+              `${vendorPrefix}TransitionDuration`
+            ] = `${transitionDuration}ms`;
+          }
+        } else {
+          this.autoScroller = this.createAutoScroller();
+          this.removeInputListeners = this.backend.addSortListeners({
+            event: e,
+            node,
+            window: this.contentWindow,
+            onMove: this.handleSortMove,
+            onEnd: this.handleSortEnd,
+          });
+        }
 
         this.setState({
           sorting: true,
           sortingIndex: index,
         });
+        this.manager.setSorting(true);
+
+        this.announcedContainer = this;
+        this.announcedTarget = this.getAnnouncedTarget({collection, newIndex: index});
+        this.announce('lift', {index, collection});
 
         if (onSortStart) onSortStart({node, index, collection}, e);
       }
     };
 
+    getDirection() {
+      return this.props.direction ||
+        this.contentWindow.getComputedStyle(this.container).direction;
+    }
+
+    getHelperContainer() {
+      const {helperContainer} = this.props;
+
+      if (typeof helperContainer === 'function') {
+        return helperContainer();
+      }
+
+      return helperContainer || this.document.body;
+    }
+
+    createHelper({node, getProps}) {
+      const {renderHelper} = this.props;
+
+      if (typeof renderHelper !== 'function') {
+        return cloneNode(node);
+      }
+
+      const {index, collection} = node.sortableInfo;
+      const helper = this.document.createElement('div');
+
+      // Stand in for the margins of the node, the helper is positioned accounting for them
+      helper.style.margin = ['top', 'right', 'bottom', 'left']
+        .map(side => `${this.margin[side]}px`)
+        .join(' ');
+
+      renderSubtreeIntoContainer(
+        this,
+        renderHelper({index, collection, node, props: getProps()}),
+        helper
+      );
+      this.renderedHelper = helper;
+
+      return helper;
+    }
+
+    removeHelper() {
+      if (this.renderedHelper) {
+        unmountComponentAtNode(this.renderedHelper);
+        this.renderedHelper = null;
+      }
+
+      if (this.helper.parentNode) {
+        this.helper.parentNode.removeChild(this.helper);
+      }
+    }
+
     handleSortMove = e => {
-      const {onSortMove} = this.props;
+      if (!this.isTrackedPointer(e)) return;
+
       e.preventDefault(); // Prevent scrolling on mobile
 
+      // Pointers can move several times per frame, only the last position
+      // is rendered
+      this.pendingMove = e;
+
+      if (!this.moveFrame) {
+        this.moveFrame = this.contentWindow.requestAnimationFrame(
+          this.flushSortMove
+        );
+      }
+    };
+
+    flushSortMove = () => {
+      const {onSortMove} = this.props;
+      const e = this.pendingMove;
+
+      this.cancelSortMove();
+
+      if (!e) return;
+
       this.updatePosition(e);
+      this.updateTargetContainer();
+      this.updateOutside(e);
+      this.setCopying(this.shouldCopy(e));
       this.animateNodes();
       this.autoscroll();
+      this.announceMove(e);
 
-      if (onSortMove) onSortMove(e);
+      if (onSortMove) onSortMove(this.getMoveInfo(), e);
     };
 
     handleSortEnd = e => {
-      const {hideSortableGhost, onSortEnd} = this.props;
-      const {collection} = this.manager.active;
+      const {delayOnSortEnd, dropAnimationDuration} = this.props;
+
+      if (!this.isTrackedPointer(e)) return;
 
-      // Remove the event listeners if the node is still in the DOM
-      if (this.listenerNode) {
-        events.move.forEach(eventName =>
-          this.listenerNode.removeEventListener(
-            eventName,
-            this.handleSortMove
-          ));
-        events.end.forEach(eventName =>
-          this.listenerNode.removeEventListener(eventName, this.handleSortEnd));
+      // Drop where the pointer last moved to, even if it wasn't rendered yet
+      this.flushSortMove();
+
+      // Elements dropped where they aren't allowed go back to where they were
+      if (this.rejectedIndex != null) {
+        this.cancelSort(e);
+        return;
       }
 
-      // Remove the helper from the DOM
-      this.helper.parentNode.removeChild(this.helper);
+      const isOutsideDrop = this.isOutsideDrop();
+      const isOutside = this.getOutside();
+      const target = this.getSortTarget();
+
+      // Elements of a selection always end up next to each other
+      const offset = this.selectedIndexes.indexOf(this.index);
+      const start = target.container === this
+        ? target.newIndex - offset
+        : target.newIndex;
+      const drop = {
+        target,
+        collection: this.manager.active.collection,
+        newIndex: start + offset,
+        newIndexes: this.selectedIndexes.map((index, i) => start + i),
+        mode: this.isCopying ? 'copy' : 'move',
+        outside: isOutside,
+        element: isOutside ? this.getElementUnderPointer() : null,
+        dropTarget: this.dropTarget,
+      };
 
-      if (hideSortableGhost && this.sortableGhost) {
-        this.sortableGhost.style.visibility = '';
-        this.sortableGhost.style.opacity = '';
+      // Elements dropped outside of the list stay where they were
+      if (isOutsideDrop) {
+        target.newIndex = this.index;
+        drop.newIndex = this.index;
+        drop.newIndexes = this.selectedIndexes.slice(0);
       }
 
-      const nodes = this.manager.refs[collection];
-      for (let i = 0, len = nodes.length; i < len; i++) {
-        const node = nodes[i];
-        const el = node.node;
+      const translate = dropAnimationDuration && !isOutsideDrop
+        ? this.getDropTranslate(target)
+        : null;
 
-        // Clear the cached offsetTop / offsetLeft value
-        node.edgeOffset = null;
+      this.removeSortListeners();
 
-        // Remove the transforms / transitions
-        el.style[`${vendorPrefix}Transform`] = '';
-        el.style[`${vendorPrefix}TransitionDuration`] = '';
+      if (!translate) {
+        this.resetSort();
+        this.handleDrop(drop, e);
+        return;
       }
 
-      // Stop autoscroll
-      clearInterval(this.autoscrollInterval);
-      this.autoscrollInterval = null;
+      this.stopAutoscroll();
+
+      this.animateDrop(translate);
+
+      if (delayOnSortEnd) {
+        this.dropAnimationTimer = setTimeout(() => {
+          this.dropAnimationTimer = null;
+          this.resetSort();
+          this.handleDrop(drop, e);
+        }, dropAnimationDuration);
+      } else {
+        // The elements are re-rendered in their new order while the helper
+        // is still moving, so they need to be put back in place right away
+        this.resetNodes();
+        this.handleDrop(drop, e);
+        this.hideDroppedNodes(drop);
+
+        this.dropAnimationTimer = setTimeout(() => {
+          this.dropAnimationTimer = null;
+          this.resetSort();
+        }, dropAnimationDuration);
+      }
+    };
 
-      // Update state
-      this.manager.active = null;
+    handleDrop(
+      {target, collection, newIndex, newIndexes, mode, outside, element, dropTarget},
+      e
+    ) {
+      const {multiSelect, onSortEnd, tree} = this.props;
 
-      this.setState({
-        sorting: false,
-        sortingIndex: null,
+      if (dropTarget) {
+        dropTarget.props.onDrop(this.getDropTargetInfo(collection), e);
+      }
+
+      this.announce('drop', {
+        oldIndex: this.index,
+        newIndex,
+        collection: target.collection,
+        total: target.total,
+        mode,
       });
 
       if (typeof onSortEnd === 'function') {
         onSortEnd(
           {
             oldIndex: this.index,
-            newIndex: this.newIndex,
+            newIndex,
+            oldIndexes: this.selectedIndexes,
+            newIndexes,
             collection,
+            oldCollection: collection,
+            newCollection: target.collection,
+            fromContainer: this,
+            toContainer: target.container,
+            mode,
+            outside,
+            pinnedIndexes: target.container.getPinnedIndexes(target.collection),
+            ...(outside ? {elementUnderPointer: element} : {}),
+            ...(tree
+              ? {
+                oldDepth: this.depth,
+                newDepth: this.newDepth,
+                newParentIndex: this.newParentIndex,
+              }
+              : {}),
           },
           e
         );
       }
 
-      this._touched = false;
-    };
-
-    getEdgeOffset(node, offset = {top: 0, left: 0}) {
-      // Get the actual offsetTop / offsetLeft value, no matter how deep the node is nested
-      if (node) {
-        const nodeOffset = {
-          top: offset.top + node.offsetTop,
-          left: offset.left + node.offsetLeft,
-        };
-        if (node.parentNode !== this.container) {
-          return this.getEdgeOffset(node.parentNode, nodeOffset);
+      // Keep the moved elements selected at their new position
+      if (multiSelect) {
+        if (target.container === this) {
+          this.setSelection(newIndexes, collection);
         } else {
-          return nodeOffset;
+          this.clearSelection();
         }
       }
-    }
 
-    getOffset(e) {
-      return {
-        x: e.touches ? e.touches[0].pageX : e.pageX,
-        y: e.touches ? e.touches[0].pageY : e.pageY,
-      };
+      this._touched = false;
     }
 
-    getLockPixelOffsets() {
-      let {lockOffset} = this.props;
+    getDropTranslate(target) {
+      const {tree} = this.props;
+      let translate;
 
-      if (!Array.isArray(lockOffset)) {
-        lockOffset = [lockOffset, lockOffset];
+      if (target.container !== this || this.isCopying) {
+        // The receiving container measured its elements in viewport coordinates
+        const slot = target.container.getReceivingSlot();
+
+        return slot && {
+          x: slot.left - this.boundingClientRect.left,
+          y: slot.top - this.boundingClientRect.top,
+        };
+      } else if (this.isSortingBlock()) {
+        translate = this.getSelectionTranslate(
+          this.measureSelection(),
+          this.newIndex - this.selectedIndexes.indexOf(this.index)
+        );
+
+        if (tree && !this.axis.x) {
+          translate.x = (this.newDepth - this.depth) * this.getIndentationWidth();
+        }
+      } else {
+        translate = this.getSlotTranslate(this.newIndex);
       }
 
-      invariant(
-        lockOffset.length === 2,
-        'lockOffset prop of SortableContainer should be a single ' +
-          'value or an array of exactly two values. Given %s',
-        lockOffset
-      );
+      const outerScroll = this.getOuterScrollDelta();
+
+      return translate && {
+        x: (translate.x -
+          (this.scrollContainer.scrollLeft - this.initialScroll.left)) *
+          this.scale.x -
+          outerScroll.left,
+        y: (translate.y -
+          (this.scrollContainer.scrollTop - this.initialScroll.top)) *
+          this.scale.y -
+          outerScroll.top,
+      };
+    }
 
-      const [minLockOffset, maxLockOffset] = lockOffset;
+    animateDrop(translate) {
+      const {dropAnimationDuration, dropAnimationEasing} = this.props;
 
-      return [
-        this.getLockPixelOffset(minLockOffset),
-        this.getLockPixelOffset(maxLockOffset),
-      ];
+      this.helper.style[
+        `${vendorPrefix}TransitionDuration`
+      ] = `${dropAnimationDuration}ms`;
+      this.helper.style[
+        `${vendorPrefix}TransitionTimingFunction`
+      ] = dropAnimationEasing;
+      this.setHelperTranslate(translate);
     }
 
-    getLockPixelOffset(lockOffset) {
-      let offsetX = lockOffset;
-      let offsetY = lockOffset;
-      let unit = 'px';
+    cancelSort = e => {
+      if (!this.state.sorting) {
+        this.cancel();
+        return;
+      }
 
-      if (typeof lockOffset === 'string') {
-        const match = /^[+-]?\d*(?:\.\d*)?(px|%)$/.exec(lockOffset);
+      const {onSortCancel, transitionDuration} = this.props;
+      const {collection} = this.manager.active;
+      const index = this.index;
 
-        invariant(
-          match !== null,
-          'lockOffset value should be a number or a string of a ' +
-            'number followed by "px" or "%". Given %s',
-          lockOffset
-        );
+      // Already cancelling or dropping
+      if (this.cancelAnimationTimer || this.dropAnimationTimer) return;
 
-        offsetX = (offsetY = parseFloat(lockOffset));
-        unit = match[1];
+      this.removeSortListeners();
+      this.newIndex = index;
+
+      if (this.targetContainer !== this) {
+        this.targetContainer.stopReceiving();
+        this.targetContainer = this;
       }
 
-      invariant(
-        isFinite(offsetX) && isFinite(offsetY),
-        'lockOffset value should be a finite. Given %s',
-        lockOffset
-      );
+      this.stopAutoscroll();
 
-      if (unit === '%') {
-        offsetX = offsetX * this.width / 100;
-        offsetY = offsetY * this.height / 100;
-      }
+      const finishCancel = () => {
+        this.cancelAnimationTimer = null;
+        this.resetSort();
 
-      return {
-        x: offsetX,
-        y: offsetY,
+        this.announce('cancel', {oldIndex: index, collection});
+
+        if (typeof onSortCancel === 'function') {
+          onSortCancel({index, collection}, e);
+        }
+
+        this._touched = false;
       };
-    }
 
-    updatePosition(e) {
-      const {lockAxis, lockToContainerEdges} = this.props;
+      if (!transitionDuration) {
+        finishCancel();
+        return;
+      }
 
-      const offset = this.getOffset(e);
+      // Let the nodes transition back to their original position
+      const nodes = this.manager.refs[collection];
+      for (let i = 0, len = nodes.length; i < len; i++) {
+        setStyle(nodes[i].node, `${vendorPrefix}Transform`, '');
+      }
+
+      // Animate the helper back to where the sorted node currently sits
+      const outerScroll = this.getOuterScrollDelta();
       const translate = {
-        x: offset.x - this.initialOffset.x,
-        y: offset.y - this.initialOffset.y,
+        x: -(this.scrollContainer.scrollLeft - this.initialScroll.left) *
+          this.scale.x -
+          outerScroll.left,
+        y: -(this.scrollContainer.scrollTop - this.initialScroll.top) *
+          this.scale.y -
+          outerScroll.top,
       };
-      // Adjust for window scroll
-      translate.y -= (window.pageYOffset - this.initialWindowScroll.top);
-      translate.x -= (window.pageXOffset - this.initialWindowScroll.left);
+      this.helper.style[
+        `${vendorPrefix}TransitionDuration`
+      ] = `${transitionDuration}ms`;
+      this.setHelperTranslate(translate);
 
-      this.translate = translate;
+      this.cancelAnimationTimer = setTimeout(finishCancel, transitionDuration);
+    };
 
-      if (lockToContainerEdges) {
-        const [minLockOffset, maxLockOffset] = this.getLockPixelOffsets();
+    cancelSortMove() {
+      if (this.moveFrame) {
+        this.contentWindow.cancelAnimationFrame(this.moveFrame);
+        this.moveFrame = null;
+      }
+      this.pendingMove = null;
+    }
+
+    removeSortListeners() {
+      if (this.removeInputListeners) {
+        this.removeInputListeners();
+        this.removeInputListeners = null;
+      }
+
+      this.cancelSortMove();
+
+      this.document.removeEventListener('keydown', this.handleSortKeyDown, true);
+      this.document.removeEventListener('keyup', this.handleModifierChange, true);
+    }
+
+    resetSort() {
+      const {hideSortableGhost} = this.props;
+
+      // Remove the helper from the DOM
+      this.removeHelper();
+
+      if (hideSortableGhost && this.sortableGhost) {
+        this.sortableGhost.style.visibility = '';
+        this.sortableGhost.style.opacity = '';
+      }
+
+      this.selectedNodes.forEach(node => {
+        node.style.visibility = '';
+        node.style.opacity = '';
+      });
+      this.selectedNodes = [];
+
+      this.resetNodes();
+
+      this.stopAutoscroll();
+
+      if (this.dropTarget) {
+        this.dropTarget.setOver(false);
+        this.dropTarget = null;
+      }
+
+      // Update state
+      const wasKeySorting = this.manager.isKeySorting;
+      this.manager.setSorting(false);
+      this.manager.setActive(null);
+      this.manager.isKeySorting = false;
+
+      this.setState({
+        sorting: false,
+        sortingIndex: null,
+      });
+
+      // Give focus back to the element that initiated the keyboard sort
+      if (wasKeySorting && this.focusedNode) {
+        this.focusedNode.focus();
+        this.focusedNode = null;
+      }
+    }
+
+    hideDroppedNodes({target, newIndexes}) {
+      if (!this.props.hideSortableGhost) return;
+
+      const refs = target.container.manager.refs[target.collection] || [];
+      const droppedNodes = refs
+        .map(({node}) => node)
+        .filter(node => newIndexes.indexOf(node.sortableInfo.index) !== -1);
+
+      // Elements keyed by their index don't move along with their content, so
+      // the nodes that were hidden may now show other elements. The ones that
+      // sit where the helper is going are hidden until it gets there instead.
+      [this.sortableGhost].concat(this.selectedNodes).forEach(node => {
+        if (node) {
+          node.style.visibility = '';
+          node.style.opacity = '';
+        }
+      });
+
+      droppedNodes.forEach(node => {
+        node.style.visibility = 'hidden';
+        node.style.opacity = 0;
+      });
+
+      this.sortableGhost = null;
+      this.selectedNodes = droppedNodes;
+    }
+
+    resetNodes() {
+      const nodes = this.manager.refs[this.manager.active.collection];
+      for (let i = 0, len = nodes.length; i < len; i++) {
+        const node = nodes[i];
+        const el = node.node;
+
+        // Clear the cached offsetTop / offsetLeft value and size
+        node.edgeOffset = null;
+        node.size = null;
+
+        // Remove the transforms / transitions
+        setStyle(el, `${vendorPrefix}Transform`, '');
+        setStyle(el, `${vendorPrefix}TransitionDuration`, '');
+      }
+
+      if (this.targetContainer && this.targetContainer !== this) {
+        this.targetContainer.stopReceiving();
+      }
+      this.receiving = null;
+      this.visitedContainers.forEach(container =>
+        container.clearReceivedTransitions());
+      this.targetContainer = null;
+      this.visitedContainers = [];
+    }
+
+    handleKeyDown = e => {
+      const {shouldCancelStart, useDragHandle} = this.props;
+      const keyCodes = this.getKeyCodes();
+
+      if (this.state.sorting) return;
+      if (this.handleHistoryKeyDown(e)) return;
+
+      if (
+        keyCodes.lift.indexOf(e.keyCode) === -1 ||
+        shouldCancelStart(e)
+      ) {
+        return;
+      }
+
+      // Only the element, or its handle when using drag handles, lifts it.
+      // Links, buttons and editable content within it keep these keys.
+      const node = useDragHandle
+        ? e.target.sortableHandle && closest(e.target, el => el.sortableInfo != null)
+        : e.target;
+
+      if (
+        !node ||
+        !node.sortableInfo ||
+        node.sortableInfo.pinned ||
+        !this.nodeIsChild(node)
+      ) {
+        return;
+      }
+
+      e.preventDefault();
+      this.keyLift(e, node);
+    };
+
+    handleHistoryKeyDown(e) {
+      const {onUndo, onRedo} = this.props;
+      const {target} = e;
+      const callback = e.shiftKey ? onRedo : onUndo;
+
+      if (
+        e.keyCode !== KEYCODE.Z ||
+        !(e.ctrlKey || e.metaKey) ||
+        e.altKey ||
+        typeof callback !== 'function' ||
+        // Nested containers handle the shortcut first
+        e.defaultPrevented
+      ) {
+        return false;
+      }
+
+      // Text fields have an undo history of their own
+      if (
+        /^(input|textarea|select)$/i.test(target.tagName) ||
+        target.isContentEditable
+      ) {
+        return false;
+      }
+
+      e.preventDefault();
+      callback(e);
+
+      return true;
+    }
+
+    handleSortKeyDown = e => {
+      const keyCodes = this.getKeyCodes();
+      const matches = codes => codes.indexOf(e.keyCode) !== -1;
+
+      if (e.keyCode === KEYCODE.ALT) {
+        // Alt only switches between moving and copying when sorting with a
+        // pointer, it is left alone otherwise
+        if (this.manager.isKeySorting || this.props.copyMode !== 'modifier') {
+          return;
+        }
+        this.handleModifierChange(e);
+      } else if (this.manager.isKeySorting && matches(keyCodes.drop)) {
+        this.handleSortEnd(e);
+      } else if (matches(keyCodes.cancel)) {
+        this.cancelSort(e);
+      } else if (!this.manager.isKeySorting) {
+        // Only cancelling is possible with the keyboard while sorting with a pointer
+        return;
+      } else if (this.props.tree && !this.axis.x && matches(keyCodes.left)) {
+        this.keyIndent(this.isRTL ? 1 : -1, e);
+      } else if (this.props.tree && !this.axis.x && matches(keyCodes.right)) {
+        this.keyIndent(this.isRTL ? -1 : 1, e);
+      } else if (this.axis.y && matches(keyCodes.up)) {
+        this.keyMove(this.axis.x ? this.getGridVerticalShift(-1) : -1, e);
+      } else if (this.axis.y && matches(keyCodes.down)) {
+        this.keyMove(this.axis.x ? this.getGridVerticalShift(1) : 1, e);
+      } else if (this.axis.x && matches(keyCodes.left)) {
+        // Elements are laid out from right to left in RTL
+        this.keyMove(this.isRTL ? 1 : -1, e);
+      } else if (this.axis.x && matches(keyCodes.right)) {
+        this.keyMove(this.isRTL ? -1 : 1, e);
+      } else {
+        return;
+      }
+
+      e.preventDefault();
+      e.stopPropagation();
+    };
+
+    shouldCopy(e) {
+      const {copyMode} = this.props;
+
+      if (copyMode === 'never' || this.isSortingBlock()) return false;
+
+      return copyMode === 'always' || Boolean(e.altKey);
+    }
+
+    setCopying(isCopying) {
+      if (isCopying === this.isCopying) return false;
+
+      this.isCopying = isCopying;
+
+      if (isCopying) {
+        // Copies can be dropped anywhere
+        this.validateDrop(null);
+
+        // The source element stays visible where it is
+        if (this.sortableGhost) {
+          this.sortableGhost.style.visibility = '';
+          this.sortableGhost.style.opacity = '';
+        }
+      } else {
+        this.stopReceiving();
+      }
+
+      return true;
+    }
+
+    handleModifierChange = e => {
+      // Keyboard sorts keep the mode they started with
+      if (this.manager.isKeySorting || this.props.copyMode !== 'modifier') {
+        return;
+      }
+
+      if (this.setCopying(this.shouldCopy(e))) {
+        this.animateNodes();
+        this.announceMove(e);
+      }
+    };
+
+    keyLift(e, node) {
+      const {index, collection} = node.sortableInfo;
+
+      // A press that is still pending is taken over by the keyboard
+      clearTimeout(this.pressTimer);
+      this._touched = false;
+      this.focusedNode = e.target;
+      this.keyboardIndex = index;
+      this.manager.setActive({index, collection});
+      this.manager.isKeySorting = true;
+
+      this.handlePress(e);
+    }
+
+    keyMove(shift, e) {
+      const {onSortMove} = this.props;
+      let translate;
+
+      if (this.isCopying) {
+        translate = this.getKeyboardCopyTranslate(shift);
+      } else if (this.isSortingBlock()) {
+        translate = this.getKeyboardBlockTranslate(shift);
+      } else {
+        translate = this.getKeyboardTranslate(shift);
+      }
+
+      if (!translate) return;
+
+      this.scrollIntoView(translate);
+
+      // Feed the position through the same pipeline as a pointer would
+      this.updatePosition({
+        pageX: (translate.x -
+          (this.scrollContainer.scrollLeft - this.initialScroll.left)) *
+          this.scale.x,
+        pageY: (translate.y -
+          (this.scrollContainer.scrollTop - this.initialScroll.top)) *
+          this.scale.y,
+      });
+      this.animateNodes();
+      this.announceMove(e);
+
+      if (onSortMove) onSortMove(this.getMoveInfo(), e);
+    }
+
+    keyIndent(shift, e) {
+      const {onSortMove} = this.props;
+
+      this.keyboardDepthOffset += shift;
+      this.animateNodes();
+      this.announceMove(e);
+
+      if (onSortMove) onSortMove(this.getMoveInfo(), e);
+    }
+
+    getKeyboardTranslate(shift) {
+      const nodes = this.manager.getOrderedRefs();
+      const isVirtualized = this.isVirtualized();
+      const firstIndex = isVirtualized ? 0 : nodes[0].node.sortableInfo.index;
+      const lastIndex = isVirtualized
+        ? this.props.itemCount - 1
+        : nodes[nodes.length - 1].node.sortableInfo.index;
+      const isPinnedIndex = index =>
+        isPinned(find(nodes, ({node}) => node.sortableInfo.index === index));
+      let targetIndex = this.keyboardIndex + shift;
+
+      // Pinned elements are skipped over
+      while (isPinnedIndex(targetIndex)) {
+        targetIndex += shift > 0 ? 1 : -1;
+      }
+
+      targetIndex = limit(firstIndex, lastIndex, targetIndex);
+
+      const translate = targetIndex !== this.keyboardIndex &&
+        !isPinnedIndex(targetIndex)
+        ? this.getSlotTranslate(targetIndex)
+        : null;
+
+      if (translate) {
+        this.keyboardIndex = targetIndex;
+      }
+
+      return translate;
+    }
+
+    getKeyboardCopyTranslate(shift) {
+      const nodes = this.manager.getOrderedRefs();
+      const position = limit(0, nodes.length, this.keyboardPosition + shift);
+
+      if (position === this.keyboardPosition) return null;
+
+      this.keyboardPosition = position;
+
+      // The copy takes the place of the element it is inserted before
+      const target = this.measureNode(nodes[Math.min(position, nodes.length - 1)]);
+
+      const translate = {
+        x: target.edgeOffset.left - this.offsetEdge.left,
+        y: target.edgeOffset.top - this.offsetEdge.top,
+      };
+
+      // Past the last element, it goes right after it
+      if (position === nodes.length) {
+        if (!this.axis.x) {
+          translate.y += target.size.height + this.marginOffset.y;
+        } else if (this.isRTL) {
+          translate.x -= this.width + this.marginOffset.x;
+        } else {
+          translate.x += target.size.width + this.marginOffset.x;
+        }
+      }
+
+      return translate;
+    }
+
+    getSlotTranslate(targetIndex) {
+      if (this.isVirtualized()) {
+        return this.getVirtualizedSlotTranslate(targetIndex);
+      }
+
+      const target = find(
+        this.manager.getOrderedRefs(),
+        ({node}) => node.sortableInfo.index === targetIndex
+      );
+
+      // The target may not be rendered (for instance with windowing libraries)
+      if (!target) return null;
+
+      this.measureNode(target);
+
+      const translate = {
+        x: target.edgeOffset.left - this.offsetEdge.left,
+        y: target.edgeOffset.top - this.offsetEdge.top,
+      };
+
+      // When moving forward in a list, the helper takes the place of the
+      // trailing edge of the target, which matters for elements of varying sizes.
+      // Right to left lists trail on the left, so it's the other way around.
+      if (!(this.axis.x && this.axis.y)) {
+        const isForward = targetIndex > this.index;
+
+        if (this.axis.x && isForward !== this.isRTL) {
+          translate.x += target.size.width - this.width;
+        } else if (!this.axis.x && isForward) {
+          translate.y += target.size.height - this.height;
+        }
+      }
+
+      return translate;
+    }
+
+    getVirtualizedSlotTranslate(targetIndex) {
+      const {getItemOffset, getItemSize} = this.props;
+      let distance = getItemOffset(targetIndex) - getItemOffset(this.index);
+
+      // Same as above, moving forward lands on the trailing edge of the target
+      if (targetIndex > this.index) {
+        distance += getItemSize(targetIndex) -
+          (this.axis.x ? this.width : this.height);
+      }
+
+      if (!this.axis.x) return {x: 0, y: distance};
+
+      return {x: this.isRTL ? -distance : distance, y: 0};
+    }
+
+    getKeyboardBlockTranslate(shift) {
+      const layout = this.measureSelection();
+      const position = limit(
+        0,
+        layout.others.length,
+        this.keyboardPosition + shift
+      );
+
+      if (position === this.keyboardPosition) return null;
+
+      this.keyboardPosition = position;
+
+      return this.getSelectionTranslate(layout, position);
+    }
+
+    isSortingBlock() {
+      return this.selectedIndexes.length > 1 || Boolean(this.props.tree);
+    }
+
+    scrollIntoView(translate) {
+      const {useWindowAsScrollContainer} = this.props;
+      const deltaScroll = {
+        left: this.scrollContainer.scrollLeft - this.initialScroll.left,
+        top: this.scrollContainer.scrollTop - this.initialScroll.top,
+      };
+      const deltaWindowScroll = this.getOuterScrollDelta();
+      const top = this.boundingClientRect.top +
+        (translate.y - deltaScroll.top) * this.scale.y -
+        deltaWindowScroll.top;
+      const left = this.boundingClientRect.left +
+        (translate.x - deltaScroll.left) * this.scale.x -
+        deltaWindowScroll.left;
+      const bounds = useWindowAsScrollContainer
+        ? {
+          top: 0,
+          left: 0,
+          bottom: this.contentWindow.innerHeight,
+          right: this.contentWindow.innerWidth,
+        }
+        : this.container.getBoundingClientRect();
+      const offset = {
+        top: top < bounds.top
+          ? top - bounds.top
+          : Math.max(0, top + this.height * this.scale.y - bounds.bottom),
+        left: left < bounds.left
+          ? left - bounds.left
+          : Math.max(0, left + this.width * this.scale.x - bounds.right),
+      };
+
+      if (useWindowAsScrollContainer) {
+        this.contentWindow.scrollBy(offset.left, offset.top);
+      } else {
+        this.scrollContainer.scrollTop += offset.top / this.scale.y;
+        this.scrollContainer.scrollLeft += offset.left / this.scale.x;
+      }
+    }
+
+    getGridVerticalShift(direction) {
+      // Selections and copies move by a whole row, single elements to the
+      // closest slot
+      return this.isSortingBlock() || this.isCopying
+        ? direction * this.getGridColumns()
+        : this.getGridRowShift(direction);
+    }
+
+    getGridColumns() {
+      const nodes = this.manager.getOrderedRefs();
+      let columns = 0;
+
+      for (let i = 0, len = nodes.length; i < len; i++) {
+        if (!nodes[i].edgeOffset) {
+          nodes[i].edgeOffset = this.getEdgeOffset(nodes[i].node);
+        }
+        if (nodes[i].edgeOffset.top !== nodes[0].edgeOffset.top) break;
+
+        columns++;
+      }
+
+      return columns;
+    }
+
+    announceMove(e) {
+      const {onSortOver, tree} = this.props;
+      const target = this.getSortTarget();
+      const isRejected = this.rejectedIndex != null;
+      const announcedTarget = this.getAnnouncedTarget(target);
+
+      if (
+        target.container !== this.announcedContainer ||
+        announcedTarget !== this.announcedTarget
+      ) {
+        this.announcedContainer = target.container;
+        this.announcedTarget = announcedTarget;
+        this.announce(isRejected ? 'reject' : 'move', {
+          index: this.index,
+          newIndex: isRejected ? this.rejectedIndex : target.newIndex,
+          collection: target.collection,
+          total: target.total,
+          ...(tree ? {newDepth: this.newDepth} : {}),
+        });
+
+        if (onSortOver) onSortOver(this.getMoveInfo(), e);
+      }
+    }
+
+    getAnnouncedTarget({collection, newIndex}) {
+      return `${collection}:${newIndex}:${this.newDepth}:${this.rejectedIndex}`;
+    }
+
+    getMoveInfo() {
+      const {tree} = this.props;
+      const target = this.getSortTarget();
+      const refs = target.container.manager.refs[target.collection] || [];
+      // The element that currently sits where the sorted element would go
+      const over = find(refs, ({node}) => node.sortableInfo.index === target.newIndex);
+
+      return {
+        index: this.index,
+        newIndex: target.newIndex,
+        collection: this.manager.active.collection,
+        newCollection: target.collection,
+        translate: {...this.translate},
+        overNode: over ? over.node : null,
+        toContainer: target.container,
+        outside: this.getOutside(),
+        ...(tree ? {newDepth: this.newDepth} : {}),
+      };
+    }
+
+    announce(type, info) {
+      const message = this.getAnnouncements()[type];
+
+      if (this.announcer && typeof message === 'function') {
+        this.announcer.announce(
+          message({total: this.getItemCount(info.collection), ...info})
+        );
+      }
+    }
+
+    getAnnouncements() {
+      return {
+        ...defaultAnnouncements,
+        ...this.props.announcements,
+      };
+    }
+
+    getKeyCodes() {
+      return {
+        ...defaultKeyCodes,
+        ...this.props.keyCodes,
+      };
+    }
+
+    joinGroup(group) {
+      if (group) {
+        groups[group] = (groups[group] || []).concat(this);
+      }
+    }
+
+    leaveGroup(group) {
+      if (group && groups[group]) {
+        groups[group] = groups[group].filter(container => container !== this);
+      }
+    }
+
+    getSortTarget() {
+      const target = this.targetContainer;
+
+      if (target && target !== this && target.receiving) {
+        const {collection, newIndex, nodes} = target.receiving;
+
+        return {container: target, collection, newIndex, total: nodes.length + 1};
+      }
+
+      const {collection} = this.manager.active;
+
+      if (this.isCopying && this.receiving) {
+        return {
+          container: this,
+          collection,
+          newIndex: this.receiving.newIndex,
+          total: this.receiving.nodes.length + 1,
+        };
+      }
+
+      return {
+        container: this,
+        collection,
+        newIndex: this.newIndex,
+        total: this.getItemCount(collection),
+      };
+    }
+
+    updateTargetContainer() {
+      const {group} = this.props;
+
+      if (!group || !groups[group]) return;
+
+      const center = this.getHelperClientCenter();
+      const target = this.getContainerAt(center);
+
+      // Keep the previous target when the helper is not over any container
+      if (target && target !== this.targetContainer) {
+        if (this.targetContainer !== this) {
+          this.targetContainer.stopReceiving();
+        }
+        if (target !== this) {
+          target.startReceiving(this);
+
+          if (this.visitedContainers.indexOf(target) === -1) {
+            this.visitedContainers.push(target);
+          }
+        }
+
+        this.targetContainer = target;
+      }
+
+      if (this.targetContainer !== this) {
+        this.targetContainer.updateReceiving(center, this.getReceivingSize());
+      }
+    }
+
+    getReceivingSize() {
+      return {
+        width: (this.width + this.marginOffset.x) * this.scale.x,
+        height: (this.height + this.marginOffset.y) * this.scale.y,
+      };
+    }
+
+    getHelperClientCenter() {
+      return {
+        x: this.boundingClientRect.left +
+          this.translate.x +
+          this.width * this.scale.x / 2,
+        y: this.boundingClientRect.top +
+          this.translate.y +
+          this.height * this.scale.y / 2,
+      };
+    }
+
+    getContainerAt(point) {
+      const {group} = this.props;
+      const containers = group && groups[group] ? groups[group] : [this];
+      let target = null;
+      let targetArea = Infinity;
+
+      // Pick the innermost container under the point
+      containers.forEach(container => {
+        const rect = container.container.getBoundingClientRect();
+        const area = rect.width * rect.height;
+
+        if (
+          point.x >= rect.left &&
+          point.x <= rect.left + rect.width &&
+          point.y >= rect.top &&
+          point.y <= rect.top + rect.height &&
+          area < targetArea
+        ) {
+          target = container;
+          targetArea = area;
+        }
+      });
+
+      return target;
+    }
+
+    isOutsideTracked() {
+      const {group, dropOutside, onSortEnter, onSortLeave} = this.props;
+
+      // Finding the container under the helper reads the layout of the page,
+      // so it is only done on every move when something depends on it
+      return Boolean(group || dropOutside || onSortEnter || onSortLeave);
+    }
+
+    getOutside() {
+      if (this.manager.isKeySorting || this.isOutsideTracked()) {
+        return this.isOutside;
+      }
+
+      return !this.getContainerAt(this.getHelperClientCenter());
+    }
+
+    updateOutside(e) {
+      const {onSortEnter, onSortLeave} = this.props;
+
+      this.pointerPosition = this.getClientPosition(e);
+
+      if (this.isOutsideTracked()) {
+        const isOutside = !this.getContainerAt(this.getHelperClientCenter());
+
+        if (isOutside !== this.isOutside) {
+          const callback = isOutside ? onSortLeave : onSortEnter;
+
+          this.isOutside = isOutside;
+
+          if (callback) {
+            callback({index: this.index, collection: this.manager.active.collection}, e);
+          }
+        }
+      }
+
+      this.updateDropTarget();
+
+      // Elements that are about to be dropped outside leave a gap nowhere
+      if (this.isOutsideDrop() && this.targetContainer !== this) {
+        this.targetContainer.stopReceiving();
+        this.targetContainer = this;
+      }
+    }
+
+    updateDropTarget() {
+      // There is nothing to look for under the pointer without drop targets
+      const element = hasDropTargets() ? this.getElementUnderPointer() : null;
+      const node = element && closest(element, el => el.sortableDropTarget);
+      let dropTarget = node ? node.sortableDropTarget : null;
+
+      if (
+        dropTarget &&
+        !dropTarget.props.accepts(this.getDropTargetInfo(this.manager.active.collection))
+      ) {
+        dropTarget = null;
+      }
+
+      if (dropTarget !== this.dropTarget) {
+        if (this.dropTarget) this.dropTarget.setOver(false);
+        if (dropTarget) dropTarget.setOver(true);
+
+        this.dropTarget = dropTarget;
+      }
+    }
+
+    getDropTargetInfo(collection) {
+      return {
+        oldIndex: this.index,
+        oldIndexes: this.selectedIndexes,
+        collection,
+        fromContainer: this,
+      };
+    }
+
+    getElementUnderPointer() {
+      if (!this.pointerPosition) return null;
+
+      const {x, y} = this.pointerPosition;
+
+      // The helper ignores pointer events, so it is never the element found
+      return this.document.elementFromPoint(x, y);
+    }
+
+    isOutsideDrop() {
+      return Boolean(this.dropTarget) || (this.isOutside && this.props.dropOutside);
+    }
+
+    isGapClosed() {
+      return this.targetContainer !== this || this.isOutsideDrop();
+    }
+
+    startReceiving(source) {
+      const {refs} = this.manager;
+      let {collection} = source.manager.active;
+
+      // Fall back to the first collection of this container that has elements
+      if (!refs[collection] || !refs[collection].length) {
+        const key = find(Object.keys(refs), key => refs[key].length);
+
+        if (key != null) {
+          collection = refs[key][0].node.sortableInfo.collection;
+        }
+      }
+
+      this.receiving = this.measureReceiving(collection);
+    }
+
+    measureReceiving(collection) {
+      return {
+        collection,
+        newIndex: 0,
+        isRTL: this.getDirection() === 'rtl',
+        scale: this.getScale(),
+        nodes: this.manager
+          .getOrderedRefs(collection)
+          .map(({node}) => ({node, rect: node.getBoundingClientRect()})),
+        initialScroll: {
+          top: this.scrollContainer.scrollTop,
+          left: this.scrollContainer.scrollLeft,
+        },
+      };
+    }
+
+    updateReceiving(center, size, position) {
+      const {axis, transitionDuration} = this.props;
+      const {nodes, initialScroll, isRTL, scale} = this.receiving;
+      const isGrid = axis === 'xy';
+      const isBefore = (a, b) => (isRTL ? a > b : a < b);
+      // Rects and sizes are in viewport pixels, scrolling and translations
+      // happen in the coordinate space of the container
+      const deltaScroll = {
+        left: (this.scrollContainer.scrollLeft - initialScroll.left) * scale.x,
+        top: (this.scrollContainer.scrollTop - initialScroll.top) * scale.y,
+      };
+      let newIndex = nodes.length
+        ? nodes[nodes.length - 1].node.sortableInfo.index + 1
+        : 0;
+      let isAfter = false;
+
+      for (let i = 0, len = nodes.length; i < len; i++) {
+        const {node, rect} = nodes[i];
+        const nodeCenter = {
+          x: rect.left - deltaScroll.left + rect.width / 2,
+          y: rect.top - deltaScroll.top + rect.height / 2,
+        };
+        const translate = {
+          x: 0,
+          y: 0,
+        };
+
+        if (!isAfter) {
+          if (position != null) {
+            isAfter = i >= position;
+          } else if (isGrid) {
+            isAfter = nodeCenter.y - center.y >= rect.height / 2 ||
+              (Math.abs(nodeCenter.y - center.y) < rect.height / 2 &&
+                isBefore(center.x, nodeCenter.x));
+          } else if (axis === 'x') {
+            isAfter = isBefore(center.x, nodeCenter.x);
+          } else {
+            isAfter = nodeCenter.y > center.y;
+          }
+
+          if (isAfter) {
+            newIndex = node.sortableInfo.index;
+          }
+        }
+
+        // Make room for the helper by shifting every node that comes after it
+        if (isAfter) {
+          if (isGrid) {
+            const nextNode = nodes[i + 1];
+
+            translate.x = (nextNode
+              ? nextNode.rect.left - rect.left
+              : isRTL ? -size.width : size.width) / scale.x;
+            translate.y = (nextNode ? nextNode.rect.top - rect.top : 0) / scale.y;
+          } else if (axis === 'x') {
+            translate.x = (isRTL ? -size.width : size.width) / scale.x;
+          } else {
+            translate.y = size.height / scale.y;
+          }
+        }
+
+        if (transitionDuration) {
+          setStyle(
+            node,
+            `${vendorPrefix}TransitionDuration`,
+            `${transitionDuration}ms`
+          );
+        }
+        setStyle(
+          node,
+          `${vendorPrefix}Transform`,
+          `translate3d(${translate.x}px,${translate.y}px,0)`
+        );
+      }
+
+      this.receiving.newIndex = newIndex;
+      this.receiving.size = size;
+    }
+
+    getReceivingSlot() {
+      if (!this.receiving) return null;
+
+      const {axis} = this.props;
+      const {nodes, newIndex, initialScroll, isRTL, scale, size} = this.receiving;
+      const next = find(nodes, ({node}) => node.sortableInfo.index === newIndex);
+      const last = nodes[nodes.length - 1];
+      let slot = this.container.getBoundingClientRect();
+
+      // The received element takes the place of the element it was dropped before
+      if (next) {
+        slot = next.rect;
+      } else if (last) {
+        slot = axis === 'y'
+          ? {left: last.rect.left, top: last.rect.top + last.rect.height}
+          : {
+            left: isRTL ? last.rect.left - size.width : last.rect.left + last.rect.width,
+            top: last.rect.top,
+          };
+      }
+
+      return {
+        left: slot.left -
+          (this.scrollContainer.scrollLeft - initialScroll.left) * scale.x,
+        top: slot.top -
+          (this.scrollContainer.scrollTop - initialScroll.top) * scale.y,
+      };
+    }
+
+    stopReceiving() {
+      if (!this.receiving) return;
+
+      // Let the nodes transition back to their original position
+      this.receiving.nodes.forEach(({node}) => {
+        setStyle(node, `${vendorPrefix}Transform`, '');
+      });
+      this.receiving = null;
+    }
+
+    clearReceivedTransitions() {
+      Object.keys(this.manager.refs).forEach(collection => {
+        this.manager.refs[collection].forEach(({node}) => {
+          setStyle(node, `${vendorPrefix}TransitionDuration`, '');
+        });
+      });
+    }
+
+    getEdgeOffset(node, offset = {top: 0, left: 0}) {
+      // Get the actual offsetTop / offsetLeft value, no matter how deep the node is nested
+      if (node) {
+        const nodeOffset = {
+          top: offset.top + node.offsetTop,
+          left: offset.left + node.offsetLeft,
+        };
+        if (node.parentNode !== this.container) {
+          return this.getEdgeOffset(node.parentNode, nodeOffset);
+        } else {
+          return nodeOffset;
+        }
+      }
+    }
+
+    getClientPosition(e) {
+      const point = e.touches ? e.touches[0] : e;
+
+      return {
+        x: point.clientX,
+        y: point.clientY,
+      };
+    }
+
+    getOffset(e) {
+      return {
+        x: e.touches ? e.touches[0].pageX : e.pageX,
+        y: e.touches ? e.touches[0].pageY : e.pageY,
+      };
+    }
+
+    getLockPixelOffsets() {
+      let {lockOffset} = this.props;
+
+      if (!Array.isArray(lockOffset)) {
+        lockOffset = [lockOffset, lockOffset];
+      }
+
+      invariant(
+        lockOffset.length === 2,
+        'lockOffset prop of SortableContainer should be a single ' +
+          'value or an array of exactly two values. Given %s',
+        lockOffset
+      );
+
+      const [minLockOffset, maxLockOffset] = lockOffset;
+
+      return [
+        this.getLockPixelOffset(minLockOffset),
+        this.getLockPixelOffset(maxLockOffset),
+      ];
+    }
+
+    getLockPixelOffset(lockOffset) {
+      let offsetX = lockOffset;
+      let offsetY = lockOffset;
+      let unit = 'px';
+
+      if (typeof lockOffset === 'string') {
+        const match = /^[+-]?\d*(?:\.\d*)?(px|%)$/.exec(lockOffset);
+
+        invariant(
+          match !== null,
+          'lockOffset value should be a number or a string of a ' +
+            'number followed by "px" or "%". Given %s',
+          lockOffset
+        );
+
+        offsetX = (offsetY = parseFloat(lockOffset));
+        unit = match[1];
+      }
+
+      invariant(
+        isFinite(offsetX) && isFinite(offsetY),
+        'lockOffset value should be a finite. Given %s',
+        lockOffset
+      );
+
+      if (unit === '%') {
+        offsetX = offsetX * this.width * this.scale.x / 100;
+        offsetY = offsetY * this.height * this.scale.y / 100;
+      }
+
+      return {
+        x: offsetX,
+        y: offsetY,
+      };
+    }
+
+    updatePosition(e) {
+      const {lockAxis, lockToContainerEdges} = this.props;
+
+      const offset = this.getOffset(e);
+      const translate = {
+        x: offset.x - this.initialOffset.x,
+        y: offset.y - this.initialOffset.y,
+      };
+      // Adjust for window scroll
+      translate.y -= (window.pageYOffset - this.initialWindowScroll.top);
+      translate.x -= (window.pageXOffset - this.initialWindowScroll.left);
+
+      this.translate = translate;
+      this.pointerOffset = {...translate};
+
+      if (lockToContainerEdges) {
+        const [minLockOffset, maxLockOffset] = this.getLockPixelOffsets();
         const minOffset = {
-          x: this.width / 2 - minLockOffset.x,
-          y: this.height / 2 - minLockOffset.y,
+          x: this.width * this.scale.x / 2 - minLockOffset.x,
+          y: this.height * this.scale.y / 2 - minLockOffset.y,
         };
         const maxOffset = {
-          x: this.width / 2 - maxLockOffset.x,
-          y: this.height / 2 - maxLockOffset.y,
+          x: this.width * this.scale.x / 2 - maxLockOffset.x,
+          y: this.height * this.scale.y / 2 - maxLockOffset.y,
         };
 
-        translate.x = limit(
-          this.minTranslate.x + minOffset.x,
-          this.maxTranslate.x - maxOffset.x,
-          translate.x
-        );
-        translate.y = limit(
-          this.minTranslate.y + minOffset.y,
-          this.maxTranslate.y - maxOffset.y,
-          translate.y
-        );
+        translate.x = limit(
+          this.minTranslate.x + minOffset.x,
+          this.maxTranslate.x - maxOffset.x,
+          translate.x
+        );
+        translate.y = limit(
+          this.minTranslate.y + minOffset.y,
+          this.maxTranslate.y - maxOffset.y,
+          translate.y
+        );
+      }
+
+      if (lockAxis === 'x') {
+        translate.y = 0;
+      } else if (lockAxis === 'y') {
+        translate.x = 0;
+      }
+
+      this.setHelperTranslate(translate);
+    }
+
+    setHelperTranslate(translate) {
+      const scale = this.isScaled()
+        ? ` scale(${this.scale.x}, ${this.scale.y})`
+        : '';
+
+      this.helper.style[
+        `${vendorPrefix}Transform`
+      ] = `translate3d(${translate.x}px,${translate.y}px, 0)${scale}`;
+    }
+
+    getScale() {
+      const {scale} = this.props;
+
+      if (scale == null) {
+        return getScale(this.container);
+      }
+
+      return typeof scale === 'number' ? {x: scale, y: scale} : scale;
+    }
+
+    isScaled() {
+      return this.scale.x !== 1 || this.scale.y !== 1;
+    }
+
+    animateNodes() {
+      if (this.isCopying) {
+        this.animateCopy();
+        return;
+      } else if (this.isSortingBlock()) {
+        this.animateSelection();
+        return;
+      } else if (this.isVirtualized()) {
+        this.animateVirtualized();
+        return;
+      } else if (this.axis.x && this.axis.y) {
+        this.animateGrid();
+        return;
+      }
+
+      const {transitionDuration, hideSortableGhost} = this.props;
+      const nodes = this.manager.getOrderedRefs();
+      const getIndex = i => nodes[i].node.sortableInfo.index;
+      // Positions in `nodes` of the elements before and after the sorted one
+      const before = binarySearch(nodes.length, i => getIndex(i) >= this.index);
+      const after = binarySearch(nodes.length, i => getIndex(i) > this.index);
+      // The elements from `start` to `end` (excluded) are shifted
+      let start = after;
+      let end = after;
+
+      if (this.isGapClosed()) {
+        // When the helper is over another container, the gap it left is closed
+        end = nodes.length;
+      } else if (this.manager.isKeySorting) {
+        // When sorting with the keyboard, the target index is already known
+        if (this.keyboardIndex > this.index) {
+          end = binarySearch(nodes.length, i => getIndex(i) > this.keyboardIndex);
+        } else {
+          start = binarySearch(nodes.length, i => getIndex(i) >= this.keyboardIndex);
+          end = before;
+        }
+      } else {
+        const sortingOffset = this.getSortingOffset();
+
+        // Elements are laid out in order, so the ones the helper went past
+        // are found with a binary search rather than by testing all of them
+        end = after + binarySearch(
+          nodes.length - after,
+          i => !this.hasPassed(nodes[after + i], sortingOffset, true)
+        );
+
+        if (end === after) {
+          start = binarySearch(
+            before,
+            i => this.hasPassed(nodes[i], sortingOffset, false)
+          );
+          end = before;
+        }
+      }
+
+      const isForward = start >= after;
+
+      // Pinned elements can't be dropped onto, the sorted element stops at
+      // the closest element that isn't pinned instead
+      if (isForward) {
+        while (end > start && isPinned(nodes[end - 1])) end--;
+      } else {
+        while (start < end && isPinned(nodes[start])) start++;
+      }
+
+      const getNewIndex = () =>
+        start < end ? getIndex(isForward ? end - 1 : start) : this.index;
+
+      // No room is made where the element can't be dropped
+      if (!this.validateDrop(this.isGapClosed() ? null : getNewIndex())) {
+        start = after;
+        end = after;
+      }
+
+      let shift = this.axis.x
+        ? this.width + this.marginOffset.x
+        : this.height + this.marginOffset.y;
+
+      // Elements after the sorted one move back to fill the gap it left, the
+      // ones before it move forward. Right to left lists go the other way.
+      if (isForward !== (this.axis.x && this.isRTL)) {
+        shift = -shift;
+      }
+
+      const transform = this.getShiftTransform(shift);
+
+      for (let i = 0, len = nodes.length; i < len; i++) {
+        const {node} = nodes[i];
+
+        // If the node is the one we're currently animating, skip it
+        if (node.sortableInfo.index === this.index) {
+          if (hideSortableGhost) {
+            /*
+						 * With windowing libraries such as `react-virtualized`, the sortableGhost
+						 * node may change while scrolling down and then back up (or vice-versa),
+						 * so we need to update the reference to the new node just to be safe.
+						 */
+            this.hideGhost(node);
+          }
+          continue;
+        }
+
+        if (transitionDuration) {
+          setStyle(
+            node,
+            `${vendorPrefix}TransitionDuration`,
+            `${transitionDuration}ms`
+          );
+        }
+        setStyle(
+          node,
+          `${vendorPrefix}Transform`,
+          i >= start && i < end && !isPinned(nodes[i])
+            ? this.getFreeSlotTransform(nodes, i, isForward ? -1 : 1, transform)
+            : ''
+        );
+      }
+
+      this.newIndex = getNewIndex();
+    }
+
+    getFreeSlotTransform(nodes, i, step, shiftTransform) {
+      let slot = i + step;
+
+      // Elements jump over the pinned ones, into the slot of the next
+      // element that isn't pinned
+      while (isPinned(nodes[slot])) slot += step;
+
+      if (slot === i + step || !nodes[slot]) return shiftTransform;
+
+      const from = this.measureNode(nodes[i]).edgeOffset;
+      const to = this.measureNode(nodes[slot]).edgeOffset;
+
+      return `translate3d(${to.left - from.left}px,${to.top - from.top}px,0)`;
+    }
+
+    getShiftTransform(shift) {
+      if (!shift) return '';
+
+      return this.axis.x
+        ? `translate3d(${shift}px,0px,0)`
+        : `translate3d(0px,${shift}px,0)`;
+    }
+
+    validateDrop(newIndex) {
+      const {canDrop} = this.props;
+
+      // The element can always go back to where it was
+      if (!canDrop || newIndex == null || newIndex === this.index) {
+        this.checkedIndex = null;
+        this.setRejectedIndex(null);
+      } else if (newIndex !== this.checkedIndex) {
+        // The rules are only checked when the prospective index changes
+        this.checkedIndex = newIndex;
+        this.setRejectedIndex(
+          canDrop({
+            oldIndex: this.index,
+            newIndex,
+            collection: this.manager.active.collection,
+            node: this.node,
+          })
+            ? null
+            : newIndex
+        );
+      }
+
+      return this.rejectedIndex == null;
+    }
+
+    setRejectedIndex(rejectedIndex) {
+      const {invalidHelperClass} = this.props;
+      const wasRejected = this.rejectedIndex != null;
+
+      this.rejectedIndex = rejectedIndex;
+
+      if (invalidHelperClass && wasRejected !== (rejectedIndex != null)) {
+        const classes = invalidHelperClass.split(' ');
+
+        if (wasRejected) {
+          this.helper.classList.remove(...classes);
+        } else {
+          this.helper.classList.add(...classes);
+        }
+      }
+    }
+
+    hasPassed(ref, sortingOffset, isForward) {
+      const {edgeOffset, size} = this.measureNode(ref);
+      // The helper has to go past half of the smallest of the two elements
+      const offset = {
+        width: Math.min(this.width, size.width) / 2,
+        height: Math.min(this.height, size.height) / 2,
+      };
+
+      if (this.axis.x && this.isRTL) {
+        // Elements that come after the helper are on its left
+        const helperRight = sortingOffset.left + this.width;
+        const nodeRight = edgeOffset.left + size.width;
+
+        return isForward
+          ? helperRight - offset.width <= nodeRight
+          : helperRight >= nodeRight - offset.width;
+      } else if (this.axis.x) {
+        return isForward
+          ? sortingOffset.left + offset.width >= edgeOffset.left
+          : sortingOffset.left <= edgeOffset.left + offset.width;
+      }
+
+      return isForward
+        ? sortingOffset.top + offset.height >= edgeOffset.top
+        : sortingOffset.top <= edgeOffset.top + offset.height;
+    }
+
+    measureNode(ref) {
+      // Elements are measured once per sort, reading their layout while
+      // others are being moved around would force the browser to compute it again
+      if (!ref.edgeOffset) {
+        ref.edgeOffset = this.getEdgeOffset(ref.node);
       }
 
-      if (lockAxis === 'x') {
-        translate.y = 0;
-      } else if (lockAxis === 'y') {
-        translate.x = 0;
+      if (!ref.size) {
+        ref.size = {
+          width: ref.node.offsetWidth,
+          height: ref.node.offsetHeight,
+        };
       }
 
-      this.helper.style[
-        `${vendorPrefix}Transform`
-      ] = `translate3d(${translate.x}px,${translate.y}px, 0)`;
+      return ref;
     }
 
-    animateNodes() {
-      const {transitionDuration, hideSortableGhost} = this.props;
+    hideGhost(node) {
+      this.sortableGhost = node;
+
+      if (node.style.visibility !== 'hidden') {
+        node.style.visibility = 'hidden';
+        node.style.opacity = 0;
+      }
+    }
+
+    getPinnedIndexes(collection) {
+      return this.manager
+        .getOrderedRefs(collection)
+        .filter(isPinned)
+        .map(({node}) => node.sortableInfo.index);
+    }
+
+    isVirtualized() {
+      const {itemCount, getItemOffset, getItemSize} = this.props;
+
+      // Grids are still measured from the DOM
+      return (
+        itemCount != null &&
+        Boolean(getItemOffset && getItemSize) &&
+        !(this.axis.x && this.axis.y)
+      );
+    }
+
+    getItemCount(collection) {
+      if (this.isVirtualized()) return this.props.itemCount;
+
+      return (this.manager.refs[collection] || []).length;
+    }
+
+    animateVirtualized() {
+      const {itemCount, transitionDuration, hideSortableGhost} = this.props;
       const nodes = this.manager.getOrderedRefs();
-      const deltaScroll = {
-        left: this.scrollContainer.scrollLeft - this.initialScroll.left,
-        top: this.scrollContainer.scrollTop - this.initialScroll.top,
-      };
-      const sortingOffset = {
-        left: this.offsetEdge.left + this.translate.x + deltaScroll.left,
-        top: this.offsetEdge.top + this.translate.y + deltaScroll.top,
-      };
-      const scrollDifference = {
-        top: (window.pageYOffset - this.initialWindowScroll.top),
-        left: (window.pageXOffset - this.initialWindowScroll.left),
-      };
-      this.newIndex = null;
+      const size = this.axis.x
+        ? (this.width + this.marginOffset.x) * (this.isRTL ? -1 : 1)
+        : this.height + this.marginOffset.y;
+
+      if (this.isGapClosed()) {
+        this.newIndex = itemCount - 1;
+      } else if (this.manager.isKeySorting) {
+        this.newIndex = this.keyboardIndex;
+      } else {
+        this.newIndex = this.getVirtualizedIndex();
+      }
 
+      if (!this.validateDrop(this.isGapClosed() ? null : this.newIndex)) {
+        this.newIndex = this.index;
+      }
+
+      // Only the rendered elements can be moved, the others are positioned
+      // by the windowing library once they are scrolled into view
       for (let i = 0, len = nodes.length; i < len; i++) {
         const {node} = nodes[i];
         const index = node.sortableInfo.index;
-        const width = node.offsetWidth;
-        const height = node.offsetHeight;
-        const offset = {
-          width: this.width > width ? width / 2 : this.width / 2,
-          height: this.height > height ? height / 2 : this.height / 2,
-        };
+        let shift = 0;
 
-        const translate = {
-          x: 0,
-          y: 0,
-        };
-        let {edgeOffset} = nodes[i];
+        if (index === this.index) {
+          if (hideSortableGhost) {
+            this.hideGhost(node);
+          }
+          continue;
+        }
 
-        // If we haven't cached the node's offsetTop / offsetLeft value
-        if (!edgeOffset) {
-          nodes[i].edgeOffset = (edgeOffset = this.getEdgeOffset(node));
+        // The node that was hidden may have been recycled for another element
+        if (node === this.sortableGhost) {
+          node.style.visibility = '';
+          node.style.opacity = '';
+          this.sortableGhost = null;
         }
 
-        // Get a reference to the next and previous node
-        const nextNode = i < nodes.length - 1 && nodes[i + 1];
-        const prevNode = i > 0 && nodes[i - 1];
+        if (index > this.index && index <= this.newIndex) {
+          shift = -size;
+        } else if (index < this.index && index >= this.newIndex) {
+          shift = size;
+        }
 
-        // Also cache the next node's edge offset if needed.
-        // We need this for calculating the animation in a grid setup
-        if (nextNode && !nextNode.edgeOffset) {
-          nextNode.edgeOffset = this.getEdgeOffset(nextNode.node);
+        if (transitionDuration) {
+          setStyle(
+            node,
+            `${vendorPrefix}TransitionDuration`,
+            `${transitionDuration}ms`
+          );
         }
+        setStyle(node, `${vendorPrefix}Transform`, this.getShiftTransform(shift));
+      }
+    }
 
-        // If the node is the one we're currently animating, skip it
-        if (index === this.index) {
+    getVirtualizedIndex() {
+      const {itemCount, getItemOffset, getItemSize} = this.props;
+      const sortingOffset = this.getSortingOffset();
+      const getCenter = index => getItemOffset(index) + getItemSize(index) / 2;
+      // The helper is positioned relative to where its element started, so
+      // the offset of that element is enough to place it in the whole list
+      const distance = this.axis.x
+        ? (sortingOffset.left - this.offsetEdge.left) * (this.isRTL ? -1 : 1)
+        : sortingOffset.top - this.offsetEdge.top;
+      const center = getItemOffset(this.index) + distance +
+        (this.axis.x ? this.width : this.height) / 2;
+
+      // The furthest element whose center the helper went past
+      if (center >= getCenter(this.index)) {
+        return this.index + binarySearch(
+          itemCount - this.index - 1,
+          i => getCenter(this.index + i + 1) >= center
+        );
+      }
+
+      return binarySearch(this.index, i => getCenter(i) > center);
+    }
+
+    animateCopy() {
+      // Nothing moves in the list when the copy is dropped somewhere else
+      if (this.isGapClosed()) {
+        this.stopReceiving();
+        return;
+      }
+
+      if (!this.receiving) {
+        this.receiving = {...this.copyLayout};
+      }
+
+      this.updateReceiving(
+        this.getHelperClientCenter(),
+        this.getReceivingSize(),
+        this.manager.isKeySorting ? this.keyboardPosition : null
+      );
+    }
+
+    animateGrid() {
+      const {transitionDuration, hideSortableGhost} = this.props;
+      const nodes = this.manager.getOrderedRefs();
+      const slots = this.getGridSlots(nodes);
+      const from = findIndex(
+        nodes,
+        ({node}) => node.sortableInfo.index === this.index
+      );
+      let to = nodes.length - 1;
+
+      if (this.isGapClosed()) {
+        // The helper is over another container, close the gap it left
+      } else if (this.manager.isKeySorting) {
+        to = findIndex(
+          nodes,
+          ({node}) => node.sortableInfo.index === this.keyboardIndex
+        );
+      } else {
+        to = this.getGridSlotIndex(slots, this.getHelperCenter());
+      }
+
+      // Pinned cells can't be dropped onto
+      while (to !== from && isPinned(nodes[to])) {
+        to += to > from ? -1 : 1;
+      }
+
+      if (
+        !this.validateDrop(
+          this.isGapClosed() ? null : nodes[to].node.sortableInfo.index
+        )
+      ) {
+        to = from;
+      }
+
+      for (let i = 0, len = nodes.length; i < len; i++) {
+        const {node} = nodes[i];
+
+        if (i === from) {
           if (hideSortableGhost) {
-            /*
-						 * With windowing libraries such as `react-virtualized`, the sortableGhost
-						 * node may change while scrolling down and then back up (or vice-versa),
-						 * so we need to update the reference to the new node just to be safe.
-						 */
-            this.sortableGhost = node;
-            node.style.visibility = 'hidden';
-            node.style.opacity = 0;
+            this.hideGhost(node);
           }
           continue;
         }
 
+        // Every node between the dragged one and its target moves into the
+        // slot next to it, wherever that slot is and whatever its size.
+        // Pinned nodes stay where they are and are jumped over.
+        let slot = i;
+
+        if (isPinned(nodes[i])) {
+          // Stays in place
+        } else if (from < i && i <= to) {
+          slot = i - 1;
+          while (isPinned(nodes[slot])) slot--;
+        } else if (to <= i && i < from) {
+          slot = i + 1;
+          while (isPinned(nodes[slot])) slot++;
+        }
+
         if (transitionDuration) {
-          node.style[
-            `${vendorPrefix}TransitionDuration`
-          ] = `${transitionDuration}ms`;
+          setStyle(
+            node,
+            `${vendorPrefix}TransitionDuration`,
+            `${transitionDuration}ms`
+          );
         }
+        setStyle(
+          node,
+          `${vendorPrefix}Transform`,
+          `translate3d(${slots[slot].left - slots[i].left}px,${slots[slot].top - slots[i].top}px,0)`
+        );
+      }
+
+      this.newIndex = nodes[to].node.sortableInfo.index;
+    }
+
+    getGridSlots(nodes) {
+      return nodes.map(ref => {
+        const {edgeOffset, size} = this.measureNode(ref);
+
+        return {
+          top: edgeOffset.top,
+          left: edgeOffset.left,
+          width: size.width,
+          height: size.height,
+        };
+      });
+    }
+
+    getGridSlotIndex(slots, point) {
+      // The slot under the point or, in the gaps between slots and past the
+      // last row, the closest one
+      let closest = 0;
+      let closestDistance = Infinity;
+
+      for (let i = 0, len = slots.length; i < len; i++) {
+        const {top, left, width, height} = slots[i];
+        const dx = Math.max(left - point.x, 0, point.x - (left + width));
+        const dy = Math.max(top - point.y, 0, point.y - (top + height));
+        const distance = dx * dx + dy * dy;
+
+        if (distance < closestDistance) {
+          closest = i;
+          closestDistance = distance;
+        }
+      }
+
+      return closest;
+    }
+
+    getGridRowShift(direction) {
+      // Move to the slot of the previous or next row that is horizontally closest
+      const nodes = this.manager.getOrderedRefs();
+      const slots = this.getGridSlots(nodes);
+      const current = findIndex(
+        nodes,
+        ({node}) => node.sortableInfo.index === this.keyboardIndex
+      );
+      const {top, left, width, height} = slots[current];
+      const center = left + width / 2;
+      let target = current;
+      let targetRow = null;
+      let targetDistance = Infinity;
+
+      for (let i = 0, len = slots.length; i < len; i++) {
+        const slot = slots[i];
+        const isInRow = direction > 0
+          ? slot.top >= top + height / 2
+          : slot.top + slot.height <= top + height / 2;
+
+        if (isInRow) {
+          const row = Math.abs(slot.top - top);
+          const distance = Math.abs(slot.left + slot.width / 2 - center);
 
-        if (this.axis.x) {
-          if (this.axis.y) {
-            // Calculations for a grid setup
-            if (
-              index < this.index &&
-              (
-                ((sortingOffset.left + scrollDifference.left) - offset.width <= edgeOffset.left &&
-                (sortingOffset.top + scrollDifference.top) <= edgeOffset.top + offset.height) ||
-                (sortingOffset.top + scrollDifference.top) + offset.height <= edgeOffset.top
-              )
-            ) {
-              // If the current node is to the left on the same row, or above the node that's being dragged
-              // then move it to the right
-              translate.x = this.width + this.marginOffset.x;
-              if (
-                edgeOffset.left + translate.x >
-                this.containerBoundingRect.width - offset.width
-              ) {
-                // If it moves passed the right bounds, then animate it to the first position of the next row.
-                // We just use the offset of the next node to calculate where to move, because that node's original position
-                // is exactly where we want to go
-                translate.x = nextNode.edgeOffset.left - edgeOffset.left;
-                translate.y = nextNode.edgeOffset.top - edgeOffset.top;
-              }
-              if (this.newIndex === null) {
-                this.newIndex = index;
-              }
-            } else if (
-              index > this.index &&
-              (
-                ((sortingOffset.left + scrollDifference.left) + offset.width >= edgeOffset.left &&
-                (sortingOffset.top + scrollDifference.top) + offset.height >= edgeOffset.top) ||
-                (sortingOffset.top + scrollDifference.top) + offset.height >= edgeOffset.top + height
-              )
-            ) {
-              // If the current node is to the right on the same row, or below the node that's being dragged
-              // then move it to the left
-              translate.x = -(this.width + this.marginOffset.x);
-              if (
-                edgeOffset.left + translate.x <
-                this.containerBoundingRect.left + offset.width
-              ) {
-                // If it moves passed the left bounds, then animate it to the last position of the previous row.
-                // We just use the offset of the previous node to calculate where to move, because that node's original position
-                // is exactly where we want to go
-                translate.x = prevNode.edgeOffset.left - edgeOffset.left;
-                translate.y = prevNode.edgeOffset.top - edgeOffset.top;
-              }
-              this.newIndex = index;
-            }
-          } else {
-            if (
-              index > this.index &&
-              (sortingOffset.left + scrollDifference.left) + offset.width >= edgeOffset.left
-            ) {
-              translate.x = -(this.width + this.marginOffset.x);
-              this.newIndex = index;
-            } else if (
-              index < this.index &&
-              (sortingOffset.left + scrollDifference.left) <= edgeOffset.left + offset.width
-            ) {
-              translate.x = this.width + this.marginOffset.x;
-              if (this.newIndex == null) {
-                this.newIndex = index;
-              }
-            }
-          }
-        } else if (this.axis.y) {
           if (
-            index > this.index &&
-            (sortingOffset.top + scrollDifference.top) + offset.height >= edgeOffset.top
+            targetRow === null ||
+            row < targetRow ||
+            (row === targetRow && distance < targetDistance)
           ) {
-            translate.y = -(this.height + this.marginOffset.y);
-            this.newIndex = index;
-          } else if (
-            index < this.index &&
-            (sortingOffset.top + scrollDifference.top) <= edgeOffset.top + offset.height
-          ) {
-            translate.y = this.height + this.marginOffset.y;
-            if (this.newIndex == null) {
-              this.newIndex = index;
-            }
+            target = i;
+            targetRow = row;
+            targetDistance = distance;
           }
         }
-        node.style[`${vendorPrefix}Transform`] = `translate3d(${translate.x}px,${translate.y}px,0)`;
       }
 
-      if (this.newIndex == null) {
-        this.newIndex = this.index;
-      }
+      return target - current;
     }
 
-    autoscroll = () => {
-      const translate = this.translate;
-      const direction = {
-        x: 0,
-        y: 0,
+    getSortingOffset() {
+      // The helper moves in viewport pixels, while the elements are measured
+      // in the coordinate space of the container, which may be scaled
+      const outerScroll = this.getOuterScrollDelta();
+
+      return {
+        left: this.offsetEdge.left +
+          (this.translate.x + outerScroll.left) / this.scale.x +
+          (this.scrollContainer.scrollLeft - this.initialScroll.left),
+        top: this.offsetEdge.top +
+          (this.translate.y + outerScroll.top) / this.scale.y +
+          (this.scrollContainer.scrollTop - this.initialScroll.top),
       };
-      const speed = {
-        x: 1,
-        y: 1,
+    }
+
+    getHelperCenter() {
+      const {left, top} = this.getSortingOffset();
+
+      return {
+        x: left + this.width / 2,
+        y: top + this.height / 2,
       };
-      const acceleration = {
-        x: 10,
-        y: 10,
+    }
+
+    getLogicalOffset(offset, width) {
+      // Offset along the sorting axis, in the order elements are laid out in
+      if (!this.axis.x) return offset.top;
+
+      return this.isRTL ? -(offset.left + width) : offset.left;
+    }
+
+    measureSelection() {
+      const nodes = this.manager.getOrderedRefs();
+      const selected = this.selectedIndexes;
+      const sign = this.axis.x && this.isRTL ? -1 : 1;
+      const dimension = this.axis.x ? 'width' : 'height';
+      const margin = this.axis.x ? this.marginOffset.x : this.marginOffset.y;
+      const others = [];
+      let blockSize = 0;
+      let leadingSize = 0;
+
+      for (let i = 0, len = nodes.length; i < len; i++) {
+        // This runs on every frame, from the sizes measured when sorting started
+        const {edgeOffset, node, size} = this.measureNode(nodes[i]);
+        const {index} = node.sortableInfo;
+
+        if (selected.indexOf(index) !== -1) {
+          if (index < this.index) {
+            leadingSize += size[dimension] + margin;
+          }
+          blockSize += size[dimension] + margin;
+        } else {
+          const start = this.getLogicalOffset(edgeOffset, size.width);
+
+          // Where the node would be if the selection was taken out of the list
+          others.push({
+            ref: nodes[i],
+            start,
+            collapsed: start - blockSize,
+            size: size[dimension] + margin,
+          });
+        }
+      }
+
+      return {nodes, others, sign, blockSize, leadingSize};
+    }
+
+    getSelectionTranslate({nodes, others, sign, leadingSize}, position) {
+      if (this.axis.x && this.axis.y) {
+        const slot = nodes[position + this.selectedIndexes.indexOf(this.index)].edgeOffset;
+
+        return {
+          x: slot.left - this.offsetEdge.left,
+          y: slot.top - this.offsetEdge.top,
+        };
+      }
+
+      const last = others[others.length - 1];
+      let blockStart = this.getLogicalOffset(
+        nodes[0].edgeOffset,
+        nodes[0].size.width
+      );
+
+      if (position < others.length) {
+        blockStart = others[position].collapsed;
+      } else if (last) {
+        blockStart = last.collapsed + last.size;
+      }
+
+      const shift = sign * (
+        blockStart + leadingSize - this.getLogicalOffset(this.offsetEdge, this.width)
+      );
+
+      return {
+        x: this.axis.x ? shift : 0,
+        y: this.axis.x ? 0 : shift,
       };
+    }
 
-      if (translate.y >= this.maxTranslate.y - this.height / 2) {
-        direction.y = 1; // Scroll Down
-        speed.y = acceleration.y * Math.abs((this.maxTranslate.y - this.height / 2 - translate.y) / this.height);
-      } else if (translate.x >= this.maxTranslate.x - this.width / 2) {
-        direction.x = 1; // Scroll Right
-        speed.x = acceleration.x * Math.abs((this.maxTranslate.x - this.width / 2 - translate.x) / this.width);
-      } else if (translate.y <= this.minTranslate.y + this.height / 2) {
-        direction.y = -1; // Scroll Up
-        speed.y = acceleration.y * Math.abs((translate.y - this.height / 2 - this.minTranslate.y) / this.height);
-      } else if (translate.x <= this.minTranslate.x + this.width / 2) {
-        direction.x = -1; // Scroll Left
-        speed.x = acceleration.x * Math.abs((translate.x - this.width / 2 - this.minTranslate.x) / this.width);
-      }
-
-      if (this.autoscrollInterval) {
-        clearInterval(this.autoscrollInterval);
-        this.autoscrollInterval = null;
-        this.isAutoScrolling = false;
-      }
-
-      if (direction.x !== 0 || direction.y !== 0) {
-        this.autoscrollInterval = setInterval(
-          () => {
-            this.isAutoScrolling = true;
-            const offset = {
-              left: 1 * speed.x * direction.x,
-              top: 1 * speed.y * direction.y,
-            };
-            this.scrollContainer.scrollTop += offset.top;
-            this.scrollContainer.scrollLeft += offset.left;
-            this.translate.x += offset.left;
-            this.translate.y += offset.top;
-            this.animateNodes();
-          },
-          5
+    animateSelection() {
+      const {transitionDuration, tree} = this.props;
+      const layout = this.measureSelection();
+      const {nodes, others, sign, blockSize, leadingSize} = layout;
+      const selected = this.selectedIndexes;
+      const isGrid = this.axis.x && this.axis.y;
+      const sortingOffset = this.getSortingOffset();
+      const blockLength = nodes.length - others.length;
+      let position = others.length;
+
+      if (this.isGapClosed()) {
+        // The selection is over another container, close the gap it left
+      } else if (this.manager.isKeySorting) {
+        position = this.keyboardPosition;
+      } else if (isGrid) {
+        // Find the slot under the helper, then account for the selected
+        // nodes that come before the one being dragged
+        const slot = this.getGridSlotIndex(
+          this.getGridSlots(nodes),
+          this.getHelperCenter()
+        );
+
+        position = limit(0, others.length, slot - selected.indexOf(this.index));
+      } else {
+        const blockStart = this.getLogicalOffset(sortingOffset, this.width) -
+          leadingSize +
+          (this.axis.x ? this.width : this.height) / 2;
+
+        position = filter(
+          others,
+          ({ref, collapsed}) =>
+            collapsed + ref.size[this.axis.x ? 'width' : 'height'] / 2 < blockStart
+        ).length;
+      }
+
+      for (let i = 0, len = others.length; i < len; i++) {
+        const {ref, start, collapsed} = others[i];
+        const {node, edgeOffset} = ref;
+        const translate = {
+          x: 0,
+          y: 0,
+        };
+
+        if (isGrid) {
+          const slot = nodes[i < position ? i : i + blockLength].edgeOffset;
+
+          translate.x = slot.left - edgeOffset.left;
+          translate.y = slot.top - edgeOffset.top;
+        } else {
+          translate[this.axis.x ? 'x' : 'y'] = sign *
+            (collapsed + (i < position ? 0 : blockSize) - start);
+        }
+
+        if (transitionDuration) {
+          setStyle(
+            node,
+            `${vendorPrefix}TransitionDuration`,
+            `${transitionDuration}ms`
+          );
+        }
+        setStyle(
+          node,
+          `${vendorPrefix}Transform`,
+          `translate3d(${translate.x}px,${translate.y}px,0)`
         );
       }
+
+      this.newIndex = position + selected.indexOf(this.index);
+
+      if (tree && !this.isGapClosed()) {
+        this.projectDepth(others, position);
+      }
+    }
+
+    getIndentationWidth() {
+      // Nested elements are indented towards the left in RTL
+      return this.isRTL ? -this.props.indentationWidth : this.props.indentationWidth;
+    }
+
+    projectDepth(others, position) {
+      const {canHaveChildren, maxDepth} = this.props;
+      const indentationWidth = this.getIndentationWidth();
+      const getInfo = other => other && other.ref.node.sortableInfo;
+      const previous = getInfo(others[position - 1]);
+      const next = getInfo(others[position]);
+      const offset = this.manager.isKeySorting
+        ? this.keyboardDepthOffset
+        : Math.round(this.pointerOffset.x / (indentationWidth * this.scale.x));
+
+      // The deepest an element can go is to become the last child of the previous
+      // element, and it must remain a sibling or parent of the next element
+      let max = previous
+        ? previous.depth +
+          (canHaveChildren({...previous, node: others[position - 1].ref.node})
+            ? 1
+            : 0)
+        : 0;
+      const min = next ? next.depth : 0;
+
+      if (maxDepth != null) {
+        max = Math.min(max, maxDepth - this.subtreeDepth);
+      }
+
+      this.newDepth = Math.max(min, Math.min(max, this.depth + offset));
+      this.keyboardDepthOffset = this.newDepth - this.depth;
+      this.newParentIndex = null;
+
+      for (let i = position - 1; i >= 0; i--) {
+        if (getInfo(others[i]).depth < this.newDepth) {
+          this.newParentIndex = i;
+          break;
+        }
+      }
+
+      // Snap the helper to the indentation of its projected depth
+      if (!this.axis.x) {
+        this.setHelperTranslate({
+          x: this.keyboardDepthOffset * indentationWidth * this.scale.x,
+          y: this.translate.y,
+        });
+      }
+    }
+
+    decorateSelectionHelper() {
+      const {selectionCountClass, selectionHelperClass} = this.props;
+      const count = this.document.createElement('div');
+
+      // Only the position of the count is set here, its looks are left to CSS
+      count.style.position = 'absolute';
+      count.textContent = this.selectedIndexes.length;
+
+      if (selectionCountClass) {
+        count.classList.add(...selectionCountClass.split(' '));
+      }
+      if (selectionHelperClass) {
+        this.helper.classList.add(...selectionHelperClass.split(' '));
+      }
+
+      this.helper.appendChild(count);
+    }
+
+    setSelection(indexes, collection = 0) {
+      const {onSelectionChange} = this.props;
+      const sortedIndexes = indexes.slice(0).sort((a, b) => a - b);
+
+      this.manager.setSelection(collection, sortedIndexes);
+
+      if (onSelectionChange) {
+        onSelectionChange({indexes: sortedIndexes, collection});
+      }
+    }
+
+    clearSelection() {
+      this.setSelection([]);
+    }
+
+    getSelection() {
+      return this.manager.selection;
+    }
+
+    createAutoScroller() {
+      const {autoScroll, autoScroller} = this.props;
+
+      if (!autoScroll) return null;
+
+      const createAutoScroller = autoScroller ||
+        (options => new AutoScroller(options));
+
+      return createAutoScroller({
+        ...defaultAutoScrollOptions,
+        ...(typeof autoScroll === 'object' ? autoScroll : {}),
+        window: this.contentWindow,
+        scrollers: this.getScrollers(),
+        onScroll: this.handleAutoScroll,
+      });
+    }
+
+    getScrollers() {
+      // From the innermost scroll container to the window
+      const scrollers = this.scrollAncestors.map(({node}) => node);
+
+      if (this.scrollContainer !== this.document.body) {
+        scrollers.unshift(this.scrollContainer);
+      }
+
+      return scrollers.concat(this.contentWindow);
+    }
+
+    getScrollAncestors() {
+      const {body, documentElement} = this.document;
+      const ancestors = [];
+      let node = this.container.parentNode;
+
+      while (node && node !== body && node !== documentElement) {
+        if (node.nodeType === 1 && node !== this.scrollContainer && isScrollable(node)) {
+          ancestors.push({
+            node,
+            initialScroll: {
+              top: node.scrollTop,
+              left: node.scrollLeft,
+            },
+          });
+        }
+
+        // Step out of shadow roots
+        node = node.parentNode || node.host;
+      }
+
+      return ancestors;
+    }
+
+    getOuterScrollDelta() {
+      // Scrolling the window or any scrollable ancestor moves the container
+      // from under the helper
+      return this.scrollAncestors.reduce(
+        (delta, {node, initialScroll}) => ({
+          top: delta.top + node.scrollTop - initialScroll.top,
+          left: delta.left + node.scrollLeft - initialScroll.left,
+        }),
+        {
+          top: window.pageYOffset - this.initialWindowScroll.top,
+          left: window.pageXOffset - this.initialWindowScroll.left,
+        }
+      );
+    }
+
+    autoscroll = () => {
+      if (!this.autoScroller) return;
+
+      const top = this.boundingClientRect.top + this.translate.y;
+      const left = this.boundingClientRect.left + this.translate.x;
+
+      const width = this.width * this.scale.x;
+      const height = this.height * this.scale.y;
+
+      this.autoScroller.update({
+        top,
+        left,
+        bottom: top + height,
+        right: left + width,
+        width,
+        height,
+      });
+    };
+
+    handleAutoScroll = () => {
+      this.updateTargetContainer();
+      this.animateNodes();
+      this.announceMove();
     };
 
+    stopAutoscroll() {
+      if (this.autoScroller) {
+        this.autoScroller.stop();
+        this.autoScroller = null;
+      }
+    }
+
     getWrappedInstance() {
       invariant(
         config.withRef,
         'To access the wrapped instance, you need to pass in {withRef: true} as the second argument of the SortableContainer() call'
       );
-      return this.refs.wrappedInstance;
+      return this.wrappedInstance;
     }
 
-    render() {
-      const ref = config.withRef ? 'wrappedInstance' : null;
+    setWrappedInstance = wrappedInstance => {
+      this.wrappedInstance = wrappedInstance;
+    };
 
-      return (
-        <WrappedComponent
+    render() {
+      const ref = receivesRef ? this.setWrappedInstance : null;
+
+      // `itemCount`, `direction`, `scale`, `group`, `tree` and `multiSelect`
+      // are common names for the props of list components, such as the
+      // `itemCount` of virtualized lists, so they are passed down as well
+      return provideManager(
+        this.manager,
+        <ForwardedComponent
           ref={ref}
           {...omit(
             this.props,
@@ -799,6 +3094,8 @@ export default function sortableContainer(WrappedComponent, config = {withRef: f
             'useWindowAsScrollContainer',
             'distance',
             'helperClass',
+            'invalidHelperClass',
+            'canDrop',
             'hideSortableGhost',
             'transitionDuration',
             'useDragHandle',
@@ -807,13 +3104,41 @@ export default function sortableContainer(WrappedComponent, config = {withRef: f
             'shouldCancelStart',
             'onSortStart',
             'onSortMove',
+            'onSortOver',
             'onSortEnd',
+            'onSortCancel',
+            'onUndo',
+            'onRedo',
+            'onSortLeave',
+            'onSortEnter',
+            'dropOutside',
+            'copyMode',
+            'pinDisabled',
+            'getItemOffset',
+            'getItemSize',
             'axis',
             'lockAxis',
             'lockOffset',
             'lockToContainerEdges',
             'getContainer',
-            'getHelperDimensions'
+            'getHelperDimensions',
+            'renderHelper',
+            'autoScroll',
+            'autoScroller',
+            'helperContainer',
+            'inputBackend',
+            'dropAnimationDuration',
+            'dropAnimationEasing',
+            'delayOnSortEnd',
+            'keyCodes',
+            'announcements',
+            'onSelectionChange',
+            'selectionHelperClass',
+            'selectionCountClass',
+            'indentationWidth',
+            'maxDepth',
+            'canHaveChildren',
+            'sortableManager'
           )}
         />
       );
@@ -0,0 +1,245 @@
+import React from 'react';
+import ReactDOM from 'react-dom';
+
+import {SortableContainer, SortableElement, SortableHandle} from '../index';
+import {setGeometry, listGeometry, simulateSort} from '../test-utils';
+
+const Handle = SortableHandle(() => <span>::</span>);
+
+const Item = SortableElement(({value}) => (
+  <div>
+    <Handle />
+    <a href="#">{value}</a>
+  </div>
+));
+
+const List = SortableContainer(({items}) => (
+  <div>
+    {items.map((value, index) => (
+      <Item key={value} index={index} value={value} />
+    ))}
+  </div>
+));
+
+const TreeItem = SortableElement(({value}) => <div>{value}</div>);
+
+const TreeList = SortableContainer(({items}) => (
+  <div>
+    {items.map(({value, depth}, index) => (
+      <TreeItem key={value} index={index} depth={depth} value={value} />
+    ))}
+  </div>
+));
+
+function keyDown(node, keyCode) {
+  const event = new window.KeyboardEvent('keydown', {
+    bubbles: true,
+    cancelable: true,
+  });
+
+  Object.defineProperty(event, 'keyCode', {value: keyCode});
+  node.dispatchEvent(event);
+
+  return event;
+}
+
+function mouse(node, type) {
+  const event = new window.MouseEvent(type, {bubbles: true, cancelable: true});
+
+  Object.defineProperty(event, 'pageX', {value: 10});
+  Object.defineProperty(event, 'pageY', {value: 10});
+  node.dispatchEvent(event);
+}
+
+describe('SortableContainer', () => {
+  let restoreGeometry;
+  let root;
+
+  beforeAll(() => {
+    if (!window.requestAnimationFrame) {
+      window.requestAnimationFrame = callback => setTimeout(callback, 0);
+      window.cancelAnimationFrame = clearTimeout;
+    }
+  });
+
+  beforeEach(() => {
+    restoreGeometry = setGeometry(listGeometry({itemHeight: 50}));
+    root = document.createElement('div');
+    document.body.appendChild(root);
+  });
+
+  afterEach(() => {
+    ReactDOM.unmountComponentAtNode(root);
+    document.body.removeChild(root);
+    restoreGeometry();
+  });
+
+  function render(props) {
+    const callbacks = {
+      onSortEnd: jest.fn(),
+      onSortCancel: jest.fn(),
+    };
+    const instance = ReactDOM.render(
+      <List items={['a', 'b', 'c']} {...callbacks} {...props} />,
+      root
+    );
+
+    return {instance, ...callbacks};
+  }
+
+  function getItem(index) {
+    return root.firstChild.children[index];
+  }
+
+  describe('keyboard', () => {
+    it('lifts elements that have focus', () => {
+      const {instance} = render();
+      const event = keyDown(getItem(1), 32);
+
+      expect(event.defaultPrevented).toBe(true);
+      expect(instance.state.sorting).toBe(true);
+
+      keyDown(getItem(1), 32);
+    });
+
+    it('leaves the keys of the content of elements alone', () => {
+      const {instance} = render();
+      const event = keyDown(getItem(1).querySelector('a'), 13);
+
+      expect(event.defaultPrevented).toBe(false);
+      expect(instance.state.sorting).toBeFalsy();
+    });
+
+    it('only lifts elements from their handle when using drag handles', () => {
+      const {instance} = render({useDragHandle: true});
+
+      expect(keyDown(getItem(1), 32).defaultPrevented).toBe(false);
+      expect(instance.state.sorting).toBeFalsy();
+
+      expect(keyDown(getItem(1).firstChild, 32).defaultPrevented).toBe(true);
+      expect(instance.state.sorting).toBe(true);
+
+      keyDown(getItem(1).firstChild, 32);
+    });
+
+    it('lifts elements after a click that did not start a sort', () => {
+      const {instance} = render({distance: 10});
+
+      mouse(getItem(1), 'mousedown');
+      mouse(getItem(1), 'mouseup');
+      expect(instance.manager.active).toBe(null);
+
+      keyDown(getItem(1), 32);
+      expect(instance.state.sorting).toBe(true);
+
+      keyDown(getItem(1), 32);
+    });
+  });
+
+  it('sorts with a distance after a click that did not start a sort', () => {
+    const {onSortEnd} = render({distance: 10});
+
+    mouse(getItem(0), 'mousedown');
+    mouse(getItem(0), 'mouseup');
+    simulateSort(root, {from: 1, to: 2});
+
+    expect(onSortEnd.mock.calls[0][0]).toMatchObject({oldIndex: 1, newIndex: 2});
+  });
+
+  it('stops sorting when it is unmounted in the middle of a sort', () => {
+    const {instance, onSortEnd, onSortCancel} = render();
+    const {manager} = instance;
+    const addEventListener = jest.spyOn(document, 'addEventListener');
+    const removeEventListener = jest.spyOn(document, 'removeEventListener');
+
+    keyDown(getItem(1), 32);
+    expect(instance.state.sorting).toBe(true);
+
+    ReactDOM.unmountComponentAtNode(root);
+
+    expect(keyDown(document.body, 27).defaultPrevented).toBe(false);
+    expect(onSortCancel).not.toHaveBeenCalled();
+    expect(onSortEnd).not.toHaveBeenCalled();
+    expect(manager.active).toBe(null);
+
+    // Every listener added to the document while sorting is removed
+    addEventListener.mock.calls.forEach(([type, listener, capture]) => {
+      expect(removeEventListener).toHaveBeenCalledWith(type, listener, capture);
+    });
+
+    addEventListener.mockRestore();
+    removeEventListener.mockRestore();
+  });
+
+  it('passes the props that list components commonly use down', () => {
+    const Wrapped = jest.fn(() => <div />);
+    const WrappedList = SortableContainer(Wrapped);
+
+    ReactDOM.render(
+      <WrappedList itemCount={3} direction="rtl" distance={5} />,
+      root
+    );
+
+    expect(Wrapped.mock.calls[0][0]).toEqual({itemCount: 3, direction: 'rtl'});
+  });
+
+  describe('tree', () => {
+    function sortDeeper(props, index) {
+      const onSortEnd = jest.fn();
+
+      ReactDOM.render(
+        <TreeList tree onSortEnd={onSortEnd} {...props} />,
+        root
+      );
+
+      const node = root.firstChild.children[index];
+
+      // Lift the element, then try to indent it twice
+      [32, 39, 39, 32].forEach(keyCode => keyDown(node, keyCode));
+
+      return onSortEnd.mock.calls[0][0];
+    }
+
+    const items = [
+      {value: 'a', depth: 0},
+      {value: 'b', depth: 0},
+      {value: 'c', depth: 1},
+    ];
+
+    it('moves elements deeper with the keyboard', () => {
+      expect(sortDeeper({items}, 1)).toMatchObject({
+        oldIndex: 1,
+        newIndex: 1,
+        oldDepth: 0,
+        newDepth: 1,
+        newParentIndex: 0,
+      });
+    });
+
+    it('does not move elements deeper than maxDepth', () => {
+      const flatItems = items.map(({value}) => ({value, depth: 0}));
+
+      expect(sortDeeper({items: flatItems, maxDepth: 0}, 1)).toMatchObject({
+        oldDepth: 0,
+        newDepth: 0,
+        newParentIndex: null,
+      });
+    });
+
+    it('counts the descendants of elements towards maxDepth', () => {
+      // `b` would bring `c` down to a depth of 2
+      expect(sortDeeper({items, maxDepth: 1}, 1)).toMatchObject({
+        oldDepth: 0,
+        newDepth: 0,
+        newParentIndex: null,
+      });
+      ReactDOM.unmountComponentAtNode(root);
+
+      expect(sortDeeper({items, maxDepth: 2}, 1)).toMatchObject({
+        oldDepth: 0,
+        newDepth: 1,
+        newParentIndex: 0,
+      });
+    });
+  });
+});
@@ -0,0 +1,79 @@
+import React, {Component} from 'react';
+import PropTypes from 'prop-types';
+import invariant from 'invariant';
+
+import {canReceiveRef, forwardNodeRef, getNode} from '../context';
+import {provideDisplayName, omit} from '../utils';
+
+// Sortable containers only look for drop targets while some are mounted
+let mountedCount = 0;
+
+export function hasDropTargets() {
+  return mountedCount > 0;
+}
+
+// Export Higher Order Sortable Drop Target Component
+export default function sortableDropTarget(WrappedComponent, config = {withRef: false}) {
+  const ForwardedComponent = forwardNodeRef(WrappedComponent);
+  const receivesRef = config.withRef || canReceiveRef(ForwardedComponent);
+
+  return class extends Component {
+    static displayName = provideDisplayName('sortableDropTarget', WrappedComponent);
+
+    static propTypes = {
+      onDrop: PropTypes.func.isRequired,
+      accepts: PropTypes.func,
+    };
+
+    static defaultProps = {
+      accepts: () => true,
+    };
+
+    state = {
+      isOver: false,
+    };
+
+    componentDidMount() {
+      // Sortable containers look for drop targets under the pointer
+      this.node = getNode(this, this.wrappedInstance, config);
+      this.node.sortableDropTarget = this;
+      mountedCount++;
+    }
+
+    componentWillUnmount() {
+      mountedCount--;
+      this.node.sortableDropTarget = null;
+      this.node = null;
+    }
+
+    setOver(isOver) {
+      if (this.node && isOver !== this.state.isOver) {
+        this.setState({isOver});
+      }
+    }
+
+    setWrappedInstance = wrappedInstance => {
+      this.wrappedInstance = wrappedInstance;
+    };
+
+    getWrappedInstance() {
+      invariant(
+        config.withRef,
+        'To access the wrapped instance, you need to pass in {withRef: true} as the second argument of the SortableDropTarget() call'
+      );
+      return this.wrappedInstance;
+    }
+
+    render() {
+      const ref = receivesRef ? this.setWrappedInstance : null;
+
+      return (
+        <ForwardedComponent
+          ref={ref}
+          isOver={this.state.isOver}
+          {...omit(this.props, 'onDrop', 'accepts')}
+        />
+      );
+    }
+  };
+}
@@ -1,94 +1,200 @@
 import React, {Component} from 'react';
 import PropTypes from 'prop-types';
-import {findDOMNode} from 'react-dom';
 import invariant from 'invariant';
 
-import {provideDisplayName, omit} from '../utils';
+import {
+  canReceiveRef,
+  forwardNodeRef,
+  getManager,
+  getNode,
+  managerContextTypes,
+  withManager,
+} from '../context';
+import {
+  provideDisplayName,
+  omit,
+  setAccessibilityAttributes,
+  removeAttributes,
+} from '../utils';
 
 // Export Higher Order Sortable Element Component
 export default function sortableElement(WrappedComponent, config = {withRef: false}) {
-  return class extends Component {
+  const ForwardedComponent = forwardNodeRef(WrappedComponent);
+  const receivesRef = config.withRef || canReceiveRef(ForwardedComponent);
+
+  return withManager(class extends Component {
     static displayName = provideDisplayName('sortableElement', WrappedComponent);
 
-    static contextTypes = {
-      manager: PropTypes.object.isRequired,
-    };
+    static contextTypes = managerContextTypes;
 
     static propTypes = {
       index: PropTypes.number.isRequired,
       collection: PropTypes.oneOfType([PropTypes.number, PropTypes.string]),
       disabled: PropTypes.bool,
+      pinned: PropTypes.bool,
+      depth: PropTypes.number,
     };
 
     static defaultProps = {
       collection: 0,
+      depth: 0,
+    };
+
+    state = {
+      selected: false,
     };
 
     componentDidMount() {
-      const {collection, disabled, index} = this.props;
+      this.register();
 
-      if (!disabled) {
-        this.setDraggable(collection, index);
-      }
+      this.unsubscribe = getManager(this).subscribe(this.handleManagerChange);
+      this.handleSelectionChange();
     }
 
-    componentWillReceiveProps(nextProps) {
-      if (this.props.index !== nextProps.index && this.node) {
-        this.node.sortableInfo.index = nextProps.index;
+    componentDidUpdate(prevProps) {
+      const {collection, depth, index} = this.props;
+
+      if (prevProps.index !== index && this.node) {
+        this.node.sortableInfo.index = index;
+        getManager(this).invalidate(collection);
+      }
+      if (prevProps.depth !== depth && this.node) {
+        this.node.sortableInfo.depth = depth;
+      }
+      if (prevProps.index !== index || prevProps.collection !== collection) {
+        this.handleSelectionChange();
       }
-      if (this.props.disabled !== nextProps.disabled) {
-        const {collection, disabled, index} = nextProps;
-        if (disabled) {
-          this.removeDraggable(collection);
-        } else {
-          this.setDraggable(collection, index);
-        }
-      } else if (this.props.collection !== nextProps.collection) {
-        this.removeDraggable(this.props.collection);
-        this.setDraggable(nextProps.collection, nextProps.index);
+      if (
+        prevProps.disabled !== this.props.disabled ||
+        prevProps.pinned !== this.props.pinned ||
+        prevProps.collection !== collection
+      ) {
+        this.unregister();
+        this.register();
       }
     }
 
     componentWillUnmount() {
-      const {collection, disabled} = this.props;
+      this.unregister();
+      this.unsubscribe();
+    }
+
+    handleManagerChange = changedOptions => {
+      if (
+        changedOptions.indexOf('useDragHandle') !== -1 ||
+        changedOptions.indexOf('pinDisabled') !== -1
+      ) {
+        this.unregister();
+        this.register();
+      }
+      if (changedOptions.indexOf('multiSelect') !== -1) {
+        this.forceUpdate();
+      }
+
+      this.handleSelectionChange();
+    };
+
+    register() {
+      const {collection, index} = this.props;
+
+      if (this.isRegistered()) {
+        this.setDraggable(collection, index);
+      }
+    }
 
-      if (!disabled) this.removeDraggable(collection);
+    unregister() {
+      if (this.ref) {
+        this.removeDraggable();
+      }
+    }
+
+    handleSelectionChange = () => {
+      const {collection, index} = this.props;
+      const selected = getManager(this).isSelected(collection, index);
+
+      if (selected !== this.state.selected) {
+        this.setState({selected});
+      }
+    };
+
+    isRegistered() {
+      // Disabled elements are invisible to the sort, unless the container
+      // treats them as pinned
+      return !this.props.disabled || getManager(this).pinDisabled;
+    }
+
+    isPinned() {
+      return Boolean(this.props.pinned || this.props.disabled);
     }
 
     setDraggable(collection, index) {
-      const node = (this.node = findDOMNode(this));
+      const manager = getManager(this);
+      const pinned = this.isPinned();
+      const node = (this.node = getNode(this, this.wrappedInstance, config));
 
       node.sortableInfo = {
         index,
         collection,
-        manager: this.context.manager,
+        depth: this.props.depth,
+        pinned,
+        manager,
       };
 
-      this.ref = {node};
-      this.context.manager.add(collection, this.ref);
+      // When using drag handles, the handles are the ones that receive focus.
+      // Pinned elements can't be picked up at all.
+      this.accessibilityAttributes = manager.useDragHandle || pinned
+        ? []
+        : setAccessibilityAttributes(node, {
+          describedBy: manager.instructionsId,
+          roleDescription: 'sortable',
+        });
+
+      this.ref = {node, getProps: this.getWrappedProps};
+      manager.add(collection, this.ref);
     }
 
-    removeDraggable(collection) {
-      this.context.manager.remove(collection, this.ref);
+    removeDraggable() {
+      getManager(this).remove(this.node.sortableInfo.collection, this.ref);
+      removeAttributes(this.node, this.accessibilityAttributes);
+      this.ref = null;
     }
 
+    getWrappedProps = () => {
+      return omit(
+        this.props,
+        'collection',
+        'disabled',
+        'pinned',
+        'index',
+        'sortableManager'
+      );
+    };
+
+    setWrappedInstance = wrappedInstance => {
+      this.wrappedInstance = wrappedInstance;
+    };
+
     getWrappedInstance() {
       invariant(
         config.withRef,
         'To access the wrapped instance, you need to pass in {withRef: true} as the second argument of the SortableElement() call'
       );
-      return this.refs.wrappedInstance;
+      return this.wrappedInstance;
     }
 
     render() {
-      const ref = config.withRef ? 'wrappedInstance' : null;
+      const ref = receivesRef ? this.setWrappedInstance : null;
+      const selectionProps = getManager(this).multiSelect
+        ? {selected: this.state.selected}
+        : {};
 
       return (
-        <WrappedComponent
+        <ForwardedComponent
           ref={ref}
-          {...omit(this.props, 'collection', 'disabled', 'index')}
+          {...selectionProps}
+          {...this.getWrappedProps()}
         />
       );
     }
-  };
+  });
 }
@@ -1,31 +1,86 @@
 import React, {Component} from 'react';
-import {findDOMNode} from 'react-dom';
 import invariant from 'invariant';
 
-import {provideDisplayName} from '../utils';
+import {
+  canReceiveRef,
+  forwardNodeRef,
+  getManager,
+  getNode,
+  managerContextTypes,
+  withManager,
+} from '../context';
+import {
+  provideDisplayName,
+  omit,
+  removeAttributes,
+  setAccessibilityAttributes,
+} from '../utils';
 
 // Export Higher Order Sortable Element Component
 export default function sortableHandle(WrappedComponent, config = {withRef: false}) {
-  return class extends Component {
+  const ForwardedComponent = forwardNodeRef(WrappedComponent);
+  const receivesRef = config.withRef || canReceiveRef(ForwardedComponent);
+
+  return withManager(class extends Component {
     static displayName = provideDisplayName('sortableHandle', WrappedComponent);
 
+    static contextTypes = managerContextTypes;
+
     componentDidMount() {
-      const node = findDOMNode(this);
+      const manager = getManager(this);
+      const node = (this.node = getNode(this, this.wrappedInstance, config));
       node.sortableHandle = true;
+
+      if (manager) {
+        this.setAccessibilityAttributes();
+        this.unsubscribe = manager.subscribe(this.handleManagerChange);
+      }
     }
 
+    componentWillUnmount() {
+      if (this.unsubscribe) {
+        this.unsubscribe();
+      }
+    }
+
+    handleManagerChange = changedOptions => {
+      if (changedOptions.indexOf('useDragHandle') !== -1) {
+        removeAttributes(this.node, this.accessibilityAttributes);
+        this.setAccessibilityAttributes();
+      }
+    };
+
+    setAccessibilityAttributes() {
+      const manager = getManager(this);
+
+      // Without `useDragHandle`, the element itself is the one that receives
+      // focus and the handle is only a regular part of it
+      this.accessibilityAttributes = manager.useDragHandle
+        ? setAccessibilityAttributes(this.node, {
+          describedBy: manager.instructionsId,
+          roleDescription: 'sortable handle',
+        })
+        : [];
+    }
+
+    setWrappedInstance = wrappedInstance => {
+      this.wrappedInstance = wrappedInstance;
+    };
+
     getWrappedInstance() {
       invariant(
         config.withRef,
         'To access the wrapped instance, you need to pass in {withRef: true} as the second argument of the SortableHandle() call'
       );
-      return this.refs.wrappedInstance;
+      return this.wrappedInstance;
     }
 
     render() {
-      const ref = config.withRef ? 'wrappedInstance' : null;
+      const ref = receivesRef ? this.setWrappedInstance : null;
 
-      return <WrappedComponent ref={ref} {...this.props} />;
+      return (
+        <ForwardedComponent ref={ref} {...omit(this.props, 'sortableManager')} />
+      );
     }
-  };
+  });
 }
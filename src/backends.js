@@ -0,0 +1,70 @@
+import {events} from './utils';
+
+/*
+ * Input backends tell the SortableContainer which events to listen to, and
+ * how to follow the pointer once sorting has started:
+ *
+ * - `events`: the `start`, `move` and `end` event names, listened to on the container
+ * - `isSupported(window)`: whether the backend can be used in the given window
+ * - `getPointerId(event)`: identifies the pointer that triggered an event, if possible
+ * - `addSortListeners({event, node, window, onMove, onEnd})`: starts following
+ *   the pointer, and returns a function that stops following it
+ */
+
+function listen(target, eventNames, listener) {
+  eventNames.forEach(eventName =>
+    target.addEventListener(eventName, listener, false));
+
+  return () =>
+    eventNames.forEach(eventName =>
+      target.removeEventListener(eventName, listener));
+}
+
+export const mouseTouchBackend = {
+  events,
+  isSupported: () => true,
+  getPointerId: () => null,
+  addSortListeners({event, node, window, onMove, onEnd}) {
+    // Touch events are always dispatched to the element the touch started on
+    const listenerNode = event.touches ? node : window;
+    const removeMove = listen(listenerNode, this.events.move, onMove);
+    const removeEnd = listen(listenerNode, this.events.end, onEnd);
+
+    return () => {
+      removeMove();
+      removeEnd();
+    };
+  },
+};
+
+export const pointerBackend = {
+  events: {
+    start: ['pointerdown'],
+    move: ['pointermove'],
+    end: ['pointerup', 'pointercancel'],
+  },
+  isSupported: window => Boolean(window && window.PointerEvent),
+  getPointerId: event => event.pointerId,
+  addSortListeners({event, node, window, onMove, onEnd}) {
+    const {pointerId} = event;
+
+    // Capturing the pointer keeps events coming even when it leaves the window
+    try {
+      node.setPointerCapture(pointerId);
+    } catch (err) {
+      // The pointer is no longer active, the window listeners will do
+    }
+
+    const removeMove = listen(window, this.events.move, onMove);
+    const removeEnd = listen(window, this.events.end, onEnd);
+
+    return () => {
+      removeMove();
+      removeEnd();
+
+      if (node.hasPointerCapture && node.hasPointerCapture(pointerId)) {
+        node.releasePointerCapture(pointerId);
+      }
+    };
+  },
+};
@@ -0,0 +1,125 @@
+import React from 'react';
+import PropTypes from 'prop-types';
+import {findDOMNode} from 'react-dom';
+
+/*
+ * React 16.3 and up can share the manager through `createContext` and hand
+ * refs through `forwardRef`, neither of which warn in `<React.StrictMode>`.
+ * Older versions fall back on the legacy context API.
+ */
+export const ManagerContext = typeof React.createContext === 'function' &&
+  typeof React.forwardRef === 'function'
+  ? React.createContext(null)
+  : null;
+
+// Only declared for the legacy context API, React warns about it otherwise
+export const managerContextTypes = ManagerContext
+  ? undefined
+  : {manager: PropTypes.object};
+
+export function provideManager(manager, children) {
+  return ManagerContext
+    ? <ManagerContext.Provider value={manager}>{children}</ManagerContext.Provider>
+    : children;
+}
+
+/*
+ * Elements and handles receive the manager as a `sortableManager` prop, and
+ * refs set on them are forwarded to the component that reads it, so that
+ * `getWrappedInstance` keeps working
+ */
+export function withManager(Component) {
+  if (!ManagerContext) return Component;
+
+  const WithManager = React.forwardRef((props, ref) => (
+    <ManagerContext.Consumer>
+      {manager => <Component {...props} ref={ref} sortableManager={manager} />}
+    </ManagerContext.Consumer>
+  ));
+
+  WithManager.displayName = Component.displayName;
+
+  return WithManager;
+}
+
+export function getManager(component) {
+  return ManagerContext
+    ? component.props.sortableManager
+    : component.context.manager;
+}
+
+const forwardRefType = typeof Symbol === 'function' && Symbol.for
+  ? Symbol.for('react.forward_ref')
+  : 0xead0;
+
+export function canReceiveRef(Component) {
+  // Refs set on function components are ignored, with a warning
+  return typeof Component === 'string' ||
+    Boolean(Component.prototype && Component.prototype.isReactComponent) ||
+    Component.$$typeof === forwardRefType;
+}
+
+function setRef(ref, value) {
+  if (typeof ref === 'function') {
+    ref(value);
+  } else if (ref) {
+    ref.current = value;
+  }
+}
+
+/*
+ * Plain function components can't receive refs, so they are called from a
+ * component that forwards its ref to the DOM element they render, if any.
+ * Anything else that can't receive refs (`React.memo`, `React.lazy`...), and
+ * function components that use the legacy context API, are left alone.
+ */
+export function forwardNodeRef(Component) {
+  if (
+    !ManagerContext ||
+    typeof Component !== 'function' ||
+    canReceiveRef(Component) ||
+    Component.contextTypes
+  ) {
+    return Component;
+  }
+
+  const ForwardNodeRef = React.forwardRef((props, ref) => {
+    const element = Component(props);
+
+    // Composite elements are found with `findDOMNode` instead
+    if (!React.isValidElement(element) || typeof element.type !== 'string') {
+      return element;
+    }
+
+    const elementRef = element.ref;
+
+    return React.cloneElement(element, {
+      ref: node => {
+        setRef(elementRef, node);
+        setRef(ref, node);
+      },
+    });
+  });
+
+  ForwardNodeRef.displayName = Component.displayName || Component.name || 'Component';
+  // React resolves and checks these for the forwarding component instead
+  ForwardNodeRef.defaultProps = Component.defaultProps;
+  ForwardNodeRef.propTypes = Component.propTypes;
+
+  return ForwardNodeRef;
+}
+
+export function getNode(component, wrappedInstance, config = {}) {
+  // Class components can tell which DOM node is theirs
+  if (config.getNode && wrappedInstance) {
+    return config.getNode(wrappedInstance);
+  }
+
+  // Components that render DOM elements or forward their ref to one give us
+  // their node directly, `findDOMNode` is only needed for the other ones
+  if (wrappedInstance && wrappedInstance.nodeType === 1) {
+    return wrappedInstance;
+  }
+
+  return findDOMNode(component);
+}
@@ -0,0 +1,233 @@
+import React from 'react';
+import {render, unmountComponentAtNode} from 'react-dom';
+import invariant from 'invariant';
+
+import sortableContainer, {createManager} from './SortableContainer';
+import {ManagerContext} from './context';
+import {omit, removeAttributes, setAccessibilityAttributes} from './utils';
+
+/*
+ * Hooks that sort the DOM elements they are given a ref to, from function
+ * components. Elements and handles register themselves with the manager from
+ * layout effects, and the container is rendered in a root of its own, with
+ * the manager of the hook and the node it is given a ref to.
+ */
+
+export const SortableContext = ManagerContext;
+
+let SortableEngine = null;
+
+function getSortableEngine() {
+  invariant(
+    typeof React.useState === 'function',
+    'The sortable hooks require React 16.8 or up, use the SortableContainer, SortableElement and SortableHandle HOCs instead.'
+  );
+
+  if (!SortableEngine) {
+    SortableEngine = sortableContainer(() => null, {withRef: true});
+  }
+
+  return SortableEngine;
+}
+
+function useManager(hookName) {
+  const manager = React.useContext(SortableContext);
+
+  invariant(
+    manager,
+    `${hookName} needs to be called from a component rendered within a <SortableContext.Provider value={manager}>, with the manager returned by useSortableContainer.`
+  );
+
+  return manager;
+}
+
+function useManagerChange(manager, onChange) {
+  // Subscribes to the manager for as long as the component is mounted, with
+  // the latest `onChange`
+  const onChangeRef = React.useRef(onChange);
+
+  onChangeRef.current = onChange;
+
+  React.useLayoutEffect(() => {
+    onChangeRef.current([]);
+
+    return manager.subscribe(changed => onChangeRef.current(changed));
+  }, [manager]);
+}
+
+export function useSortableContainer(props = {}) {
+  const Engine = getSortableEngine();
+  const [manager] = React.useState(() => createManager(props));
+  const [node, setNode] = React.useState(null);
+  const [sortingIndex, setSortingIndex] = React.useState(null);
+  const [newIndex, setNewIndex] = React.useState(null);
+  const engineRef = React.useRef(null);
+  const rootRef = React.useRef(null);
+  const {onSortOver} = props;
+
+  useManagerChange(manager, () => {
+    setSortingIndex(manager.sorting && manager.active ? manager.active.index : null);
+    if (!manager.sorting) setNewIndex(null);
+  });
+
+  React.useLayoutEffect(() => {
+    if (!node) return undefined;
+
+    const root = node.ownerDocument.createElement('div');
+
+    rootRef.current = root;
+
+    return () => {
+      unmountComponentAtNode(root);
+      rootRef.current = null;
+    };
+  }, [node]);
+
+  React.useLayoutEffect(() => {
+    if (!rootRef.current) return;
+
+    render(
+      <Engine
+        {...props}
+        ref={engineRef}
+        sortableManager={manager}
+        getContainer={() => node}
+        // The prospective index is rendered again whenever it changes
+        onSortOver={(info, e) => {
+          setNewIndex(info.newIndex);
+          if (onSortOver) onSortOver(info, e);
+        }}
+      />,
+      rootRef.current
+    );
+  });
+
+  const cancelSort = React.useCallback(e => {
+    if (engineRef.current) engineRef.current.cancelSort(e);
+  }, []);
+  const isSorting = sortingIndex !== null;
+
+  return {
+    ref: setNode,
+    manager,
+    isSorting,
+    sortingIndex,
+    newIndex: isSorting ? (newIndex === null ? sortingIndex : newIndex) : null,
+    cancelSort,
+  };
+}
+
+export function useSortableElement(props) {
+  const {
+    index,
+    collection = 0,
+    disabled = false,
+    pinned = false,
+    depth = 0,
+  } = props;
+  const manager = useManager('useSortableElement');
+  const [node, setNode] = React.useState(null);
+  const [selected, setSelected] = React.useState(false);
+  const [isDragging, setIsDragging] = React.useState(false);
+  const [registration, setRegistration] = React.useState(0);
+  const propsRef = React.useRef(props);
+
+  propsRef.current = props;
+
+  const update = () => {
+    const {active} = manager;
+
+    setSelected(manager.isSelected(collection, index));
+    setIsDragging(
+      Boolean(
+        manager.sorting &&
+          active &&
+          active.index === index &&
+          active.collection === collection
+      )
+    );
+  };
+
+  useManagerChange(manager, changed => {
+    // Elements register again when the container changes how they're picked up
+    if (
+      changed.indexOf('useDragHandle') !== -1 ||
+      changed.indexOf('pinDisabled') !== -1
+    ) {
+      setRegistration(count => count + 1);
+    }
+
+    update();
+  });
+
+  React.useLayoutEffect(() => {
+    // Disabled elements are invisible to the sort, unless the container
+    // treats them as pinned
+    if (!node || (disabled && !manager.pinDisabled)) return undefined;
+
+    const isPinned = pinned || disabled;
+    const ref = {
+      node,
+      getProps: () =>
+        omit(propsRef.current, 'index', 'collection', 'disabled', 'pinned'),
+    };
+
+    node.sortableInfo = {index, collection, depth, pinned: isPinned, manager};
+
+    // When using drag handles, the handles are the ones that receive focus.
+    // Pinned elements can't be picked up at all.
+    const attributes = manager.useDragHandle || isPinned
+      ? []
+      : setAccessibilityAttributes(node, {
+        describedBy: manager.instructionsId,
+        roleDescription: 'sortable',
+      });
+
+    manager.add(collection, ref);
+
+    return () => {
+      manager.remove(collection, ref);
+      removeAttributes(node, attributes);
+    };
+  }, [node, manager, collection, disabled, pinned, registration]);
+
+  React.useLayoutEffect(() => {
+    if (node && node.sortableInfo) {
+      node.sortableInfo.index = index;
+      node.sortableInfo.depth = depth;
+      manager.invalidate(collection);
+    }
+
+    update();
+  }, [index, collection, depth]);
+
+  return {ref: setNode, selected, isDragging};
+}
+
+export function useSortableHandle() {
+  const manager = useManager('useSortableHandle');
+  const [node, setNode] = React.useState(null);
+  const [useDragHandle, setUseDragHandle] = React.useState(manager.useDragHandle);
+
+  useManagerChange(manager, () => {
+    setUseDragHandle(manager.useDragHandle);
+  });
+
+  React.useLayoutEffect(() => {
+    if (!node) return undefined;
+
+    node.sortableHandle = true;
+
+    // Without `useDragHandle`, the element itself is the one that receives focus
+    const attributes = useDragHandle
+      ? setAccessibilityAttributes(node, {
+        describedBy: manager.instructionsId,
+        roleDescription: 'sortable handle',
+      })
+      : [];
+
+    return () => removeAttributes(node, attributes);
+  }, [node, manager, useDragHandle]);
+
+  return setNode;
+}
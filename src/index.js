@@ -1,9 +1,30 @@
 export SortableContainer from './SortableContainer';
 export SortableElement from './SortableElement';
 export SortableHandle from './SortableHandle';
+export SortableDropTarget from './SortableDropTarget';
 
 export sortableContainer from './SortableContainer';
 export sortableElement from './SortableElement';
 export sortableHandle from './SortableHandle';
+export sortableDropTarget from './SortableDropTarget';
 
-export {arrayMove} from './utils';
+export {
+  SortableContext,
+  useSortableContainer,
+  useSortableElement,
+  useSortableHandle,
+} from './hooks';
+
+export AutoScroller from './AutoScroller';
+export SortHistory from './SortHistory';
+export {mouseTouchBackend, pointerBackend} from './backends';
+
+export {
+  arrayMove,
+  arrayMoveMultiple,
+  applyMove,
+  invertMove,
+  treeMove,
+  flattenTree,
+  buildTree,
+} from './utils';
@@ -0,0 +1,351 @@
+import invariant from 'invariant';
+import sortBy from 'lodash/sortBy';
+
+import {closest} from './utils';
+
+/*
+ * Helpers to sort elements from tests running in environments without
+ * layout, such as jsdom:
+ *
+ * - `setGeometry(getRect)`: makes `getBoundingClientRect`, `offsetTop`,
+ *   `offsetLeft`, `offsetWidth`, `offsetHeight` and
+ *   `document.elementFromPoint` use the rectangles returned by
+ *   `getRect(node)`, and returns a function that restores them
+ * - `listGeometry(options)`: a `getRect` that lays sortable elements out one
+ *   after the other, or in a grid
+ * - `simulateSort(container, {from, to})`: drags the element at index `from`
+ *   to index `to` with the pointer
+ * - `simulateKeyboardSort(container, {from, to})`: same, with the keyboard
+ */
+
+const geometryProperties = {
+  offsetTop: node => getRelativeRect(node).top,
+  offsetLeft: node => getRelativeRect(node).left,
+  offsetWidth: node => node.getBoundingClientRect().width,
+  offsetHeight: node => node.getBoundingClientRect().height,
+};
+
+function getRelativeRect(node) {
+  const rect = node.getBoundingClientRect();
+  const parent = node.parentNode;
+
+  // Sortable containers add up the offsets of parent nodes rather than
+  // following `offsetParent`, so offsets are relative to the parent node
+  if (!parent || parent.nodeType !== 1) return rect;
+
+  const parentRect = parent.getBoundingClientRect();
+
+  return {
+    top: rect.top - parentRect.top,
+    left: rect.left - parentRect.left,
+  };
+}
+
+function toClientRect({top, left, width, height}) {
+  return {top, left, width, height, right: left + width, bottom: top + height};
+}
+
+function getElementFromPoint(document, getRect, x, y) {
+  const elements = document.body.querySelectorAll('*');
+
+  // Elements that come later in the document are rendered on top
+  for (let i = elements.length - 1; i >= 0; i--) {
+    const element = elements[i];
+    const rect = getRect(element);
+
+    if (
+      rect &&
+      x >= rect.left &&
+      x <= rect.left + rect.width &&
+      y >= rect.top &&
+      y <= rect.top + rect.height &&
+      !closest(element, el => el.style && el.style.pointerEvents === 'none')
+    ) {
+      return element;
+    }
+  }
+
+  return document.body;
+}
+
+export function setGeometry(getRect, {window: win = window} = {}) {
+  const prototype = win.HTMLElement.prototype;
+  const {getBoundingClientRect} = prototype;
+  const {elementFromPoint} = win.Document.prototype;
+  const descriptors = {};
+
+  win.Document.prototype.elementFromPoint = function(x, y) {
+    return getElementFromPoint(this, getRect, x, y);
+  };
+
+  prototype.getBoundingClientRect = function() {
+    const rect = getRect(this);
+
+    return rect ? toClientRect(rect) : getBoundingClientRect.call(this);
+  };
+
+  Object.keys(geometryProperties).forEach(property => {
+    descriptors[property] = Object.getOwnPropertyDescriptor(prototype, property);
+
+    Object.defineProperty(prototype, property, {
+      configurable: true,
+      get() {
+        return getRect(this)
+          ? geometryProperties[property](this)
+          : descriptors[property].get.call(this);
+      },
+    });
+  });
+
+  return function restoreGeometry() {
+    prototype.getBoundingClientRect = getBoundingClientRect;
+    win.Document.prototype.elementFromPoint = elementFromPoint;
+
+    Object.keys(descriptors).forEach(property =>
+      Object.defineProperty(prototype, property, descriptors[property]));
+  };
+}
+
+function getPixels(value) {
+  return parseFloat(value) || 0;
+}
+
+export function listGeometry(
+  {axis = 'y', columns = 1, itemWidth = 100, itemHeight = 50} = {}
+) {
+  const getPosition = index => axis === 'x'
+    ? {row: 0, column: index}
+    : {row: Math.floor(index / columns), column: index % columns};
+
+  return function getRect(node) {
+    const parent = node.parentNode;
+    const children = Array.prototype.slice.call(node.children);
+
+    // The sortable helper is positioned by the container itself
+    if (node.style.position === 'fixed') {
+      return {
+        top: getPixels(node.style.top),
+        left: getPixels(node.style.left),
+        width: getPixels(node.style.width),
+        height: getPixels(node.style.height),
+      };
+    }
+
+    const parentRect = parent && parent.nodeType === 1
+      ? getRect(parent)
+      : {top: 0, left: 0, width: 0, height: 0};
+
+    if (node.sortableInfo) {
+      const index = Array.prototype.indexOf.call(parent.children, node);
+      const {row, column} = getPosition(index);
+
+      return {
+        top: parentRect.top + row * itemHeight,
+        left: parentRect.left + column * itemWidth,
+        width: itemWidth,
+        height: itemHeight,
+      };
+    }
+
+    // Lists are as large as the elements they contain
+    if (children.some(child => child.sortableInfo)) {
+      const last = getPosition(children.length - 1);
+
+      return {
+        top: parentRect.top,
+        left: parentRect.left,
+        width: axis === 'x' ? children.length * itemWidth : columns * itemWidth,
+        height: (last.row + 1) * itemHeight,
+      };
+    }
+
+    // Any other node fills its parent
+    return parentRect;
+  };
+}
+
+function getSortableNodes(container, collection) {
+  const nodes = Array.prototype.filter.call(
+    container.querySelectorAll('*'),
+    node => node.sortableInfo && node.sortableInfo.collection === collection
+  );
+
+  return sortBy(nodes, node => node.sortableInfo.index);
+}
+
+function getSortTarget(container, {from, to, collection = 0}) {
+  const nodes = getSortableNodes(container, collection);
+  const node = nodes.filter(({sortableInfo}) => sortableInfo.index === from)[0];
+  const target = nodes.filter(({sortableInfo}) => sortableInfo.index === to)[0];
+
+  invariant(node, `There is no sortable element at index ${from}`);
+  invariant(target, `There is no sortable element at index ${to}`);
+
+  const sortableContainer = closest(node, el => el.sortableContainer != null)
+    .sortableContainer;
+  const handle = Array.prototype.filter.call(
+    node.querySelectorAll('*'),
+    el => el.sortableHandle
+  )[0];
+
+  return {
+    node,
+    target,
+    sortableContainer,
+    // Containers that use drag handles can only be sorted from them
+    eventTarget: sortableContainer.props.useDragHandle && handle ? handle : node,
+  };
+}
+
+function assertNotSorting(sortableContainer) {
+  invariant(
+    !sortableContainer.state.sorting,
+    'A sort is already in progress in this container. If the drop animation of the previous one is still running, set `dropAnimationDuration` to `0` or advance the timers.'
+  );
+}
+
+function getEventName(eventNames) {
+  // Touch events can't be simulated with a position
+  return eventNames.filter(eventName => eventName.indexOf('touch') !== 0)[0];
+}
+
+function dispatchPointerEvent(node, type, {x, y}) {
+  const win = node.ownerDocument.defaultView;
+  const isPointerEvent = type.indexOf('pointer') === 0 && win.PointerEvent;
+  const PointerEvent = isPointerEvent ? win.PointerEvent : win.MouseEvent;
+  const event = new PointerEvent(type, {
+    bubbles: true,
+    cancelable: true,
+    button: 0,
+    clientX: x,
+    clientY: y,
+    pointerId: 1,
+    isPrimary: true,
+  });
+
+  // jsdom doesn't derive page coordinates from client ones
+  Object.defineProperty(event, 'pageX', {value: x});
+  Object.defineProperty(event, 'pageY', {value: y});
+
+  node.dispatchEvent(event);
+}
+
+export function simulateSort(container, {from, to, collection, steps = 5}) {
+  const {node, target, sortableContainer, eventTarget} = getSortTarget(
+    container,
+    {from, to, collection}
+  );
+  const {axis, distance} = sortableContainer.props;
+  const {events} = sortableContainer.backend;
+
+  assertNotSorting(sortableContainer);
+
+  const isForward = to > from;
+  const isRTL = sortableContainer.getDirection() === 'rtl';
+  const rect = node.getBoundingClientRect();
+  const targetRect = target.getBoundingClientRect();
+
+  // Line the edge of the element that leads the way up with the one of the
+  // target, the element then sits where the target was
+  const edge = {
+    x: isForward !== isRTL ? 'right' : 'left',
+    y: isForward ? 'bottom' : 'top',
+  };
+  const delta = {
+    x: axis.indexOf('x') !== -1 ? targetRect[edge.x] - rect[edge.x] : 0,
+    y: axis.indexOf('y') !== -1 ? targetRect[edge.y] - rect[edge.y] : 0,
+  };
+  const position = {
+    x: rect.left + rect.width / 2,
+    y: rect.top + rect.height / 2,
+  };
+
+  dispatchPointerEvent(eventTarget, getEventName(events.start), position);
+
+  if (distance) {
+    // Sorting starts once the pointer moved far enough, from where it is then
+    position[axis.indexOf('y') !== -1 ? 'y' : 'x'] += distance;
+    dispatchPointerEvent(eventTarget, getEventName(events.move), position);
+  }
+
+  for (let step = 1; step <= steps; step++) {
+    dispatchPointerEvent(eventTarget, getEventName(events.move), {
+      x: position.x + delta.x * step / steps,
+      y: position.y + delta.y * step / steps,
+    });
+  }
+
+  dispatchPointerEvent(eventTarget, getEventName(events.end), {
+    x: position.x + delta.x,
+    y: position.y + delta.y,
+  });
+}
+
+function dispatchKeyDown(node, keyCode) {
+  const win = node.ownerDocument.defaultView;
+  const event = new win.KeyboardEvent('keydown', {
+    bubbles: true,
+    cancelable: true,
+  });
+
+  // jsdom doesn't support `keyCode` in the event init dictionary
+  Object.defineProperty(event, 'keyCode', {value: keyCode});
+  node.dispatchEvent(event);
+}
+
+function getKeyboardIndex(sortableContainer) {
+  // Elements that are copied or sorted along with others are placed among the
+  // remaining ones, the index they would be dropped at is reported instead
+  return sortableContainer.isCopying || sortableContainer.isSortingBlock()
+    ? sortableContainer.getMoveInfo().newIndex
+    : sortableContainer.keyboardIndex;
+}
+
+export function simulateKeyboardSort(container, {from, to, collection}) {
+  const {sortableContainer, eventTarget} = getSortTarget(
+    container,
+    {from, to, collection}
+  );
+  const keyCodes = sortableContainer.getKeyCodes();
+  const {axis} = sortableContainer.props;
+
+  assertNotSorting(sortableContainer);
+
+  eventTarget.focus();
+  dispatchKeyDown(eventTarget, keyCodes.lift[0]);
+
+  invariant(
+    sortableContainer.state.sorting,
+    `The element at index ${from} could not be picked up with the keyboard`
+  );
+
+  const isForward = to > from;
+  const keyCode = axis === 'y'
+    ? keyCodes[isForward ? 'down' : 'up'][0]
+    : keyCodes[isForward !== sortableContainer.isRTL ? 'right' : 'left'][0];
+  let index = from;
+
+  // Positions the element can't be dropped at are still moved through, and
+  // pinned elements are skipped over, so a key press may move more than one
+  // index. Stop at the edges of the list, or once `to` was passed.
+  while (index !== to) {
+    dispatchKeyDown(eventTarget, keyCode);
+
+    const newIndex = getKeyboardIndex(sortableContainer);
+    const isStuck = newIndex === index;
+
+    index = newIndex;
+    if (isStuck || (isForward ? index > to : index < to)) break;
+  }
+
+  if (index !== to) {
+    dispatchKeyDown(eventTarget, keyCodes.cancel[0]);
+  }
+
+  invariant(
+    index === to,
+    `The element at index ${from} could not be moved to index ${to} with the keyboard, it stopped at index ${index}`
+  );
+
+  dispatchKeyDown(eventTarget, keyCodes.drop[0]);
+}
@@ -0,0 +1,137 @@
+import React from 'react';
+import ReactDOM from 'react-dom';
+
+import {SortableContainer, SortableElement} from './index';
+import {
+  setGeometry,
+  listGeometry,
+  simulateSort,
+  simulateKeyboardSort,
+} from './test-utils';
+
+const Item = SortableElement(({value}) => <div>{value}</div>);
+
+const List = SortableContainer(({items, pinnedIndex}) => (
+  <div>
+    {items.map((value, index) => (
+      <Item
+        key={value}
+        index={index}
+        value={value}
+        pinned={index === pinnedIndex}
+      />
+    ))}
+  </div>
+));
+
+describe('test utilities', () => {
+  let restoreGeometry;
+  let root;
+
+  beforeAll(() => {
+    if (!window.requestAnimationFrame) {
+      window.requestAnimationFrame = callback => setTimeout(callback, 0);
+      window.cancelAnimationFrame = clearTimeout;
+    }
+  });
+
+  beforeEach(() => {
+    restoreGeometry = setGeometry(listGeometry({itemHeight: 50}));
+    root = document.createElement('div');
+    document.body.appendChild(root);
+  });
+
+  afterEach(() => {
+    ReactDOM.unmountComponentAtNode(root);
+    document.body.removeChild(root);
+    restoreGeometry();
+  });
+
+  function render(props) {
+    const callbacks = {
+      onSortEnd: jest.fn(),
+      onSortCancel: jest.fn(),
+    };
+    const instance = ReactDOM.render(
+      <List items={['a', 'b', 'c', 'd', 'e']} {...callbacks} {...props} />,
+      root
+    );
+
+    return {instance, ...callbacks};
+  }
+
+  it('sorts with the pointer', () => {
+    const {onSortEnd} = render();
+
+    simulateSort(root, {from: 1, to: 3});
+    expect(onSortEnd.mock.calls[0][0]).toMatchObject({oldIndex: 1, newIndex: 3});
+
+    simulateSort(root, {from: 4, to: 0});
+    expect(onSortEnd.mock.calls[1][0]).toMatchObject({oldIndex: 4, newIndex: 0});
+  });
+
+  it('sorts with the keyboard', () => {
+    const {onSortEnd} = render();
+
+    simulateKeyboardSort(root, {from: 0, to: 3});
+    expect(onSortEnd.mock.calls[0][0]).toMatchObject({oldIndex: 0, newIndex: 3});
+
+    simulateKeyboardSort(root, {from: 4, to: 1});
+    expect(onSortEnd.mock.calls[1][0]).toMatchObject({oldIndex: 4, newIndex: 1});
+  });
+
+  it('moves through indexes that canDrop rejects with the keyboard', () => {
+    const {onSortEnd, onSortCancel} = render({
+      canDrop: ({newIndex}) => newIndex !== 1,
+    });
+
+    simulateKeyboardSort(root, {from: 0, to: 3});
+    expect(onSortCancel).not.toHaveBeenCalled();
+    expect(onSortEnd.mock.calls[0][0]).toMatchObject({oldIndex: 0, newIndex: 3});
+  });
+
+  it('skips over pinned elements with the keyboard', () => {
+    const {onSortEnd} = render({pinnedIndex: 2});
+
+    simulateKeyboardSort(root, {from: 0, to: 3});
+    expect(onSortEnd.mock.calls[0][0]).toMatchObject({oldIndex: 0, newIndex: 3});
+  });
+
+  it('throws and cancels the sort when an index can not be reached', () => {
+    jest.useFakeTimers();
+
+    const {instance, onSortEnd, onSortCancel} = render({pinnedIndex: 2});
+
+    expect(() => simulateKeyboardSort(root, {from: 0, to: 2})).toThrow(
+      'could not be moved to index 2 with the keyboard, it stopped at index 3'
+    );
+
+    // The element is animated back to where it was
+    jest.runAllTimers();
+    jest.useRealTimers();
+
+    expect(onSortEnd).not.toHaveBeenCalled();
+    expect(onSortCancel).toHaveBeenCalled();
+    expect(instance.state.sorting).toBe(false);
+  });
+
+  it('throws when a sort is already in progress', () => {
+    jest.useFakeTimers();
+
+    const {onSortEnd} = render({dropAnimationDuration: 250});
+
+    simulateSort(root, {from: 0, to: 1});
+    expect(() => simulateSort(root, {from: 1, to: 2})).toThrow(
+      'A sort is already in progress'
+    );
+    expect(() => simulateKeyboardSort(root, {from: 1, to: 2})).toThrow(
+      'A sort is already in progress'
+    );
+
+    jest.runAllTimers();
+    jest.useRealTimers();
+
+    simulateSort(root, {from: 1, to: 2});
+    expect(onSortEnd).toHaveBeenCalledTimes(2);
+  });
+});
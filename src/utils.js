@@ -1,4 +1,19 @@
-export function arrayMove(arr, previousIndex, newIndex) {
+export function arrayMove(arr, previousIndex, newIndex, pinnedIndexes = []) {
+  if (pinnedIndexes.length) {
+    // Pinned items keep their index, the other ones move around them
+    const pinned = pinnedIndexes.slice(0).sort((a, b) => a - b);
+    const getFreeIndex = index =>
+      index - pinned.filter(pinnedIndex => pinnedIndex < index).length;
+    const array = arrayMove(
+      arr.filter((item, index) => pinned.indexOf(index) === -1),
+      getFreeIndex(previousIndex),
+      getFreeIndex(newIndex)
+    );
+
+    pinned.forEach(index => array.splice(index, 0, arr[index]));
+    return array;
+  }
+
   const array = arr.slice(0);
   if (newIndex >= array.length) {
     let k = newIndex - array.length;
@@ -10,6 +25,92 @@ export function arrayMove(arr, previousIndex, newIndex) {
   return array;
 }
 
+export function arrayMoveMultiple(arr, previousIndexes, newIndex) {
+  const indexes = previousIndexes.slice(0).sort((a, b) => a - b);
+  const moved = indexes.map(index => arr[index]);
+  const array = arr.filter((item, index) => indexes.indexOf(index) === -1);
+
+  array.splice(newIndex, 0, ...moved);
+  return array;
+}
+
+export function invertMove(move) {
+  const {oldIndex, newIndex, oldIndexes, newIndexes, from, to} = move;
+
+  return {
+    ...move,
+    oldIndex: newIndex,
+    newIndex: oldIndex,
+    ...(oldIndexes ? {oldIndexes: newIndexes, newIndexes: oldIndexes} : {}),
+    ...(from !== undefined ? {from: to, to: from} : {}),
+  };
+}
+
+export function applyMove(items, move) {
+  const {oldIndex, newIndex, from, to, pinnedIndexes} = move;
+  const oldIndexes = (move.oldIndexes || [oldIndex]).slice(0).sort((a, b) => a - b);
+  const newIndexes = (move.newIndexes || [newIndex]).slice(0).sort((a, b) => a - b);
+
+  if (from === to && oldIndexes.length === 1) {
+    return arrayMove(items, oldIndex, newIndex, pinnedIndexes);
+  }
+
+  // Moves between lists apply to an object of lists, keyed by `from` and `to`
+  const source = from === to ? items : items[from];
+  const moved = oldIndexes.map(index => source[index]);
+  const remaining = source.filter((item, index) => oldIndexes.indexOf(index) === -1);
+  const target = from === to ? remaining : items[to].slice(0);
+
+  // Inserting in ascending order puts every element at its new index, which
+  // also restores selections that weren't next to each other
+  newIndexes.forEach((index, i) => target.splice(index, 0, moved[i]));
+
+  return from === to ? target : {...items, [from]: remaining, [to]: target};
+}
+
+export function treeMove(items, {oldIndex, newIndex, newDepth}) {
+  // Items are a flattened tree, where each item has a `depth` and its
+  // descendants directly follow it
+  const {depth} = items[oldIndex];
+  let end = oldIndex + 1;
+
+  while (end < items.length && items[end].depth > depth) end++;
+
+  const subtree = items
+    .slice(oldIndex, end)
+    .map(item => ({...item, depth: item.depth - depth + newDepth}));
+  const array = items.slice(0, oldIndex).concat(items.slice(end));
+
+  array.splice(newIndex, 0, ...subtree);
+  return array;
+}
+
+export function flattenTree(tree, childrenKey = 'children', depth = 0) {
+  return tree.reduce(
+    (acc, item) =>
+      acc.concat(
+        {item, depth},
+        flattenTree(item[childrenKey] || [], childrenKey, depth + 1)
+      ),
+    []
+  );
+}
+
+export function buildTree(items, childrenKey = 'children') {
+  const root = [];
+  const parents = [];
+
+  items.forEach(({item, depth}) => {
+    const node = {...item, [childrenKey]: []};
+
+    parents.length = depth;
+    (depth ? parents[depth - 1][childrenKey] : root).push(node);
+    parents[depth] = node;
+  });
+
+  return root;
+}
+
 export function omit(obj, ...keysToOmit) {
   return Object.keys(obj).reduce((acc, key) => {
     if (keysToOmit.indexOf(key) === -1) acc[key] = obj[key];
@@ -23,6 +124,18 @@ export const events = {
   end: ['touchend', 'touchcancel', 'mouseup'],
 };
 
+export const KEYCODE = {
+  ENTER: 13,
+  ALT: 18,
+  ESC: 27,
+  SPACE: 32,
+  LEFT: 37,
+  UP: 38,
+  RIGHT: 39,
+  DOWN: 40,
+  Z: 90,
+};
+
 export const vendorPrefix = (function() {
   if (typeof window === 'undefined' || typeof document === 'undefined') return ''; // server environment
   // fix for:
@@ -57,6 +170,25 @@ export function limit(min, max, value) {
   return value;
 }
 
+export function binarySearch(length, predicate) {
+  // Returns the first index for which the predicate holds, given that it
+  // doesn't hold for any index before it and holds for every index after it
+  let low = 0;
+  let high = length;
+
+  while (low < high) {
+    const middle = Math.floor((low + high) / 2);
+
+    if (predicate(middle)) {
+      high = middle;
+    } else {
+      low = middle + 1;
+    }
+  }
+
+  return low;
+}
+
 function getCSSPixelValue(stringValue) {
   if (stringValue.substr(-2) === 'px') {
     return parseFloat(stringValue);
@@ -75,8 +207,119 @@ export function getElementMargin(element) {
   };
 }
 
+export function getScale(element) {
+  // Transforms and zoom on the element or its ancestors change its rendered
+  // size, but not its layout size
+  const rect = element.getBoundingClientRect();
+  const getRatio = (size, layoutSize) => {
+    const ratio = layoutSize ? size / layoutSize : 1;
+
+    // Layout sizes are rounded to whole pixels
+    return Math.abs(ratio - 1) < 0.01 ? 1 : ratio;
+  };
+
+  return {
+    x: getRatio(rect.width, element.offsetWidth),
+    y: getRatio(rect.height, element.offsetHeight),
+  };
+}
+
+export function setStyle(node, property, value) {
+  // Writing styles that didn't change is far from free in long lists, so the
+  // last value written by the sortable container is kept on the node
+  const styles = node.sortableStyles || (node.sortableStyles = {});
+
+  if ((styles[property] || '') === value) return;
+
+  styles[property] = value;
+  node.style[property] = value;
+}
+
+export function isScrollable(element) {
+  const style = window.getComputedStyle(element);
+
+  return /(auto|scroll|overlay)/.test(
+    style.overflow + style.overflowX + style.overflowY
+  );
+}
+
+export function cloneNode(node) {
+  const clonedNode = node.cloneNode(true);
+  const selector = 'input, textarea, select, canvas, video, audio';
+  const elements = node.querySelectorAll(selector);
+  const clonedElements = clonedNode.querySelectorAll(selector);
+
+  // `cloneNode` only copies attributes, the live state of elements is lost
+  for (let i = 0, len = clonedElements.length; i < len; i++) {
+    const element = elements[i];
+    const clonedElement = clonedElements[i];
+
+    switch (clonedElement.tagName.toLowerCase()) {
+      case 'canvas': {
+        const context = clonedElement.getContext('2d');
+
+        if (context && element.width && element.height) {
+          context.drawImage(element, 0, 0);
+        }
+        break;
+      }
+      case 'video':
+      case 'audio':
+        clonedElement.muted = true;
+        clonedElement.currentTime = element.currentTime;
+
+        if (!element.paused) {
+          const playing = clonedElement.play();
+
+          // Browsers may refuse to play media that was not started by the user
+          if (playing && playing.catch) playing.catch(() => {});
+        }
+        break;
+      case 'input':
+        clonedElement.checked = element.checked;
+      // falls through
+      default:
+        if (clonedElement.type !== 'file') {
+          clonedElement.value = element.value;
+        }
+    }
+  }
+
+  return clonedNode;
+}
+
 export function provideDisplayName(prefix, Component) {
   const componentName = Component.displayName || Component.name;
 
   return componentName ? `${prefix}(${componentName})` : prefix;
 }
+
+// Elements without any semantics of their own are exposed as buttons
+const genericElements = ['div', 'span'];
+
+export function setAccessibilityAttributes(node, {describedBy, roleDescription}) {
+  const attributes = {
+    tabindex: 0,
+    'aria-roledescription': roleDescription,
+    'aria-describedby': describedBy,
+  };
+
+  if (genericElements.indexOf(node.tagName.toLowerCase()) !== -1) {
+    attributes.role = 'button';
+  }
+
+  // Never override attributes that were set by the consumer, and keep track
+  // of the ones we did set so they can be removed later on
+  return Object.keys(attributes).filter(name => {
+    if (node.hasAttribute(name)) {
+      return false;
+    }
+
+    node.setAttribute(name, attributes[name]);
+    return true;
+  });
+}
+
+export function removeAttributes(node, attributes) {
+  attributes.forEach(name => node.removeAttribute(name));
+}
@@ -0,0 +1,157 @@
+import {
+  applyMove,
+  buildTree,
+  flattenTree,
+  invertMove,
+  treeMove,
+} from './utils';
+
+describe('applyMove', () => {
+  const items = ['a', 'b', 'c', 'd', 'e', 'f'];
+
+  function roundTrip(array, move) {
+    return applyMove(applyMove(array, move), invertMove(move));
+  }
+
+  it('undoes a move of a single element with its inverse', () => {
+    const move = {oldIndex: 1, newIndex: 4};
+
+    expect(applyMove(items, move)).toEqual(['a', 'c', 'd', 'e', 'b', 'f']);
+    expect(roundTrip(items, move)).toEqual(items);
+    expect(roundTrip(items, invertMove(move))).toEqual(items);
+  });
+
+  it('undoes a move of several elements with its inverse', () => {
+    // Elements that weren't next to each other are put back where they were
+    const move = {
+      oldIndex: 3,
+      newIndex: 4,
+      oldIndexes: [1, 3],
+      newIndexes: [3, 4],
+    };
+
+    expect(applyMove(items, move)).toEqual(['a', 'c', 'e', 'b', 'd', 'f']);
+    expect(roundTrip(items, move)).toEqual(items);
+  });
+
+  it('undoes a move around pinned elements with its inverse', () => {
+    const move = {oldIndex: 0, newIndex: 4, pinnedIndexes: [2]};
+
+    expect(applyMove(items, move)).toEqual(['b', 'd', 'c', 'e', 'a', 'f']);
+    expect(roundTrip(items, move)).toEqual(items);
+  });
+
+  it('undoes a move between collections with its inverse', () => {
+    const lists = {todo: ['a', 'b', 'c'], done: ['d', 'e']};
+    const move = {oldIndex: 1, newIndex: 0, from: 'todo', to: 'done'};
+
+    expect(applyMove(lists, move)).toEqual({todo: ['a', 'c'], done: ['b', 'd', 'e']});
+    expect(roundTrip(lists, move)).toEqual(lists);
+  });
+
+  it('undoes a move of several elements between collections with its inverse', () => {
+    const lists = {todo: ['a', 'b', 'c'], done: ['d', 'e']};
+    const move = {
+      oldIndex: 2,
+      newIndex: 2,
+      oldIndexes: [0, 2],
+      newIndexes: [1, 2],
+      from: 'todo',
+      to: 'done',
+    };
+
+    expect(applyMove(lists, move)).toEqual({todo: ['b'], done: ['d', 'a', 'c', 'e']});
+    expect(roundTrip(lists, move)).toEqual(lists);
+  });
+
+  it('leaves the array it is given alone', () => {
+    const array = items.slice(0);
+
+    applyMove(array, {oldIndex: 0, newIndex: 2});
+    expect(array).toEqual(items);
+  });
+});
+
+describe('tree helpers', () => {
+  function node(id, children = []) {
+    return {id, children};
+  }
+
+  const tree = [
+    node('a', [node('a1', [node('a11')]), node('a2')]),
+    node('b'),
+    node('c'),
+  ];
+
+  function describeTree(items) {
+    return items.map(({item, depth}) => `${depth}:${item.id}`);
+  }
+
+  function move(items, sortEnd) {
+    return buildTree(treeMove(items, sortEnd));
+  }
+
+  it('flattens a tree into elements followed by their descendants', () => {
+    const items = flattenTree(tree);
+
+    expect(describeTree(items)).toEqual(['0:a', '1:a1', '2:a11', '1:a2', '0:b', '0:c']);
+    expect(items[1].item).toBe(tree[0].children[0]);
+  });
+
+  it('builds the tree back from flattened elements', () => {
+    expect(buildTree(flattenTree(tree))).toEqual(tree);
+  });
+
+  it('supports other keys for children', () => {
+    const items = flattenTree([{id: 'a', nodes: [{id: 'b'}]}], 'nodes');
+
+    expect(describeTree(items)).toEqual(['0:a', '1:b']);
+    expect(buildTree(items, 'nodes')).toEqual([
+      {id: 'a', nodes: [{id: 'b', nodes: []}]},
+    ]);
+  });
+
+  it('moves an element into another one', () => {
+    // `b` becomes the last child of `a`
+    expect(move(flattenTree(tree), {oldIndex: 4, newIndex: 4, newDepth: 1})).toEqual([
+      node('a', [node('a1', [node('a11')]), node('a2'), node('b')]),
+      node('c'),
+    ]);
+  });
+
+  it('moves an element out of its parent, along with its descendants', () => {
+    expect(move(flattenTree(tree), {oldIndex: 1, newIndex: 2, newDepth: 0})).toEqual([
+      node('a', [node('a2')]),
+      node('a1', [node('a11')]),
+      node('b'),
+      node('c'),
+    ]);
+  });
+
+  it('keeps the depth of descendants relative to the element moved', () => {
+    const items = treeMove(flattenTree(tree), {oldIndex: 1, newIndex: 3, newDepth: 1});
+
+    expect(describeTree(items)).toEqual(['0:a', '1:a2', '0:b', '1:a1', '2:a11', '0:c']);
+    expect(buildTree(items)).toEqual([
+      node('a', [node('a2')]),
+      node('b', [node('a1', [node('a11')])]),
+      node('c'),
+    ]);
+  });
+
+  it('moves an element between depths', () => {
+    // `c` goes from the top level to the children of `a1`, after `a11`
+    expect(move(flattenTree(tree), {oldIndex: 5, newIndex: 3, newDepth: 2})).toEqual([
+      node('a', [node('a1', [node('a11'), node('c')]), node('a2')]),
+      node('b'),
+    ]);
+  });
+
+  it('leaves the elements it is given alone', () => {
+    const items = flattenTree(tree);
+    const copy = items.slice(0);
+
+    treeMove(items, {oldIndex: 1, newIndex: 2, newDepth: 0});
+    expect(items).toEqual(copy);
+  });
+});
@@ -0,0 +1 @@
+module.exports = require('./dist/commonjs/test-utils');